@@ -7,6 +7,11 @@ export class EventEmitter {
      */
     events: WeakMap<object, Map<string, Set<Function>>>;
 
+    /**
+     * The target global listeners are registered on. Every event is also emitted to it.
+     */
+    readonly global: object = Object.freeze({});
+
     constructor() {
         this.events = new WeakMap();
     }
@@ -31,6 +36,53 @@ export class EventEmitter {
         }
     }
 
+    /**
+     * Registers a listener for a specified event on a specific pInstance that is removed after it is invoked once.
+     *
+     * @param pInstance - The instance to associate the event with.
+     * @param pEventName - The name of the event.
+     * @param pListener - The function to invoke when the event is triggered.
+     */
+    once(pInstance: object, pEventName: string, pListener: Function): void {
+        const wrapper = (pEvent: any) => {
+            this.off(pInstance, pEventName, wrapper);
+            pListener(pEvent);
+        };
+        // Lets `off` find the wrapper from the listener that was passed in
+        wrapper.listener = pListener;
+        this.on(pInstance, pEventName, wrapper);
+    }
+
+    /**
+     * Registers a listener for a specified event on every instance.
+     *
+     * @param pEventName - The name of the event.
+     * @param pListener - The function to invoke when the event is triggered.
+     */
+    onGlobal(pEventName: string, pListener: Function): void {
+        this.on(this.global, pEventName, pListener);
+    }
+
+    /**
+     * Registers a listener for a specified event on every instance that is removed after it is invoked once.
+     *
+     * @param pEventName - The name of the event.
+     * @param pListener - The function to invoke when the event is triggered.
+     */
+    onceGlobal(pEventName: string, pListener: Function): void {
+        this.once(this.global, pEventName, pListener);
+    }
+
+    /**
+     * Unregisters a global listener for a specified event.
+     *
+     * @param pEventName - The name of the event.
+     * @param pListener - The function to remove from the event.
+     */
+    offGlobal(pEventName: string, pListener: Function): void {
+        this.off(this.global, pEventName, pListener);
+    }
+
     /**
      * Unregisters a listener for a specified event on a specific pInstance.
      *
@@ -43,7 +95,12 @@ export class EventEmitter {
             const instanceEvents = this.events.get(pInstance);
             if (instanceEvents) {
                 if (instanceEvents.has(pEventName)) {
-                    instanceEvents.get(pEventName)?.delete(pListener);
+                    const listeners = instanceEvents.get(pEventName);
+                    listeners?.forEach((pRegistered: any) => {
+                        if (pRegistered === pListener || pRegistered.listener === pListener) {
+                            listeners.delete(pRegistered);
+                        }
+                    });
                     // Clean up the event if no listeners remain
                     if (instanceEvents.get(pEventName)?.size === 0) {
                         instanceEvents.delete(pEventName);
@@ -63,12 +120,14 @@ export class EventEmitter {
      * @param pInstance - The instance to trigger the event on.
      * @param pEventName - The name of the event.
      * @param pData - The data to pass to the event listeners.
+     * @param pTarget - Whose listeners to invoke, such as the instance's layer or `global`. Defaults to pInstance.
      */
-    emit(pInstance: object, pEventName: string, pData?: any): void {
-        if (this.events.has(pInstance)) {
-            const instanceEvents = this.events.get(pInstance);
+    emit(pInstance: object, pEventName: string, pData?: any, pTarget: object = pInstance): void {
+        if (this.events.has(pTarget)) {
+            const instanceEvents = this.events.get(pTarget);
             if (instanceEvents?.has(pEventName)) {
-                instanceEvents.get(pEventName)?.forEach((pListener) => {
+                // Copied, so once listeners can remove themselves while the event is emitted
+                Array.from(instanceEvents.get(pEventName) ?? []).forEach((pListener) => {
                     try {
                         pListener({
                             pInstance,
@@ -0,0 +1,427 @@
+/**
+ * Represents the size of an instance's icon in pixels.
+ */
+export interface HostSize {
+    width: number;
+    height: number;
+}
+
+/**
+ * Represents the scale of an instance on each axis.
+ */
+export interface HostScale {
+    x: number;
+    y: number;
+}
+
+/**
+ * The bridge between the parallax system and the engine / renderer that owns the instances.
+ * Every engine specific call this module makes goes through the active host adapter.
+ *
+ * @example
+ * ```typescript
+ * import { Parallax, HeadlessHostAdapter } from 'parallax';
+ *
+ * // Run the parallax pipeline without a game engine
+ * Parallax.setHost(new HeadlessHostAdapter());
+ * ```
+ */
+export interface HostAdapter {
+    /**
+     * The name of this host adapter. Used when logging.
+     */
+    readonly name: string;
+    /**
+     * Whether the host is available and can be used.
+     * @returns Whether the host is available and can be used.
+     */
+    isReady(): boolean;
+    /**
+     * Gets the position of the camera from the host.
+     * @returns The position of the camera, or null if the host has no camera.
+     */
+    getCameraPosition(): { x: number; y: number } | null;
+    /**
+     * Creates a new instance to be used as a loop clone of the supplied instance.
+     * @param pInstance - The instance the clone is being created for.
+     * @returns The newly created clone.
+     */
+    createClone(pInstance: any): any;
+    /**
+     * Destroys a clone previously created with `createClone`.
+     * @param pClone - The clone to destroy.
+     */
+    destroyClone(pClone: any): void;
+    /**
+     * Makes the target look the same as the source.
+     * @param pTarget - The instance to copy the appearance to.
+     * @param pSource - The instance to copy the appearance from.
+     */
+    copyAppearance(pTarget: any, pSource: any): void;
+    /**
+     * Gets the unscaled size of the instance's icon.
+     * @param pInstance - The instance to get the size of.
+     * @returns The unscaled size of the instance's icon.
+     */
+    getIconSize(pInstance: any): HostSize;
+    /**
+     * Gets the scale of the instance.
+     * @param pInstance - The instance to get the scale of.
+     * @returns The scale of the instance.
+     */
+    getScale(pInstance: any): HostScale;
+    /**
+     * Sets the scale of the instance. Used to correct layers with a depth for camera zoom.
+     * Hosts without a camera zoom can leave this out, layers are then not corrected for zoom.
+     * @param pInstance - The instance to scale.
+     * @param pX - The horizontal scale.
+     * @param pY - The vertical scale.
+     */
+    setScale?(pInstance: any, pX: number, pY: number): void;
+    /**
+     * Shows or hides the instance.
+     * Hosts that cannot hide instances can leave this out, `Parallax.show` and `Parallax.hide` are then unavailable.
+     * @param pInstance - The instance to show or hide.
+     * @param pVisible - Whether the instance is shown.
+     */
+    setVisible?(pInstance: any, pVisible: boolean): void;
+    /**
+     * Gets the zoom of the camera from the host. 1 is not zoomed.
+     * Hosts without a camera zoom can leave this out.
+     * @returns The zoom of the camera.
+     */
+    getZoom?(): number;
+    /**
+     * Places the instance at the position on the map.
+     * @param pInstance - The instance to place.
+     * @param pX - The x position to place the instance at.
+     * @param pY - The y position to place the instance at.
+     * @param pMapName - The name of the map to place the instance on.
+     */
+    setPosition(pInstance: any, pX: number, pY: number, pMapName: string): void;
+}
+
+// Global VYLO interface declaration
+declare global {
+    interface VYLOClient {
+        getViewEye(): { x: number; y: number } | null;
+    }
+
+    interface VYLO {
+        Client: VYLOClient;
+        newDiob(type: string): any;
+        delDiob(pDiob: any): void;
+    }
+
+    var VYLO: VYLO;
+}
+
+/**
+ * The default host adapter. Talks to the `VYLO` engine found in the global name space.
+ */
+export class VyloHostAdapter implements HostAdapter {
+    /**
+     * The name of this host adapter.
+     */
+    readonly name = 'VYLO';
+
+    /**
+     * Whether the `VYLO` object is in the global name space.
+     * @returns Whether the `VYLO` object is in the global name space.
+     */
+    isReady(): boolean {
+        return typeof VYLO !== 'undefined' && !!VYLO;
+    }
+
+    /**
+     * Gets the position of the client's view eye.
+     * @returns The position of the client's view eye.
+     */
+    getCameraPosition(): { x: number; y: number } | null {
+        const viewEye = VYLO.Client.getViewEye();
+        if (viewEye) {
+            return { x: viewEye.x, y: viewEye.y };
+        }
+        return null;
+    }
+
+    /**
+     * Creates a new `MapObject` diob that is never culled.
+     * @param _pInstance - The instance the clone is being created for.
+     * @returns The newly created diob.
+     */
+    createClone(_pInstance: any): any {
+        const clone = VYLO.newDiob('MapObject');
+        clone.isCullable = false;
+        return clone;
+    }
+
+    /**
+     * Deletes the clone diob.
+     * @param pClone - The clone to delete.
+     */
+    destroyClone(pClone: any): void {
+        VYLO.delDiob(pClone);
+    }
+
+    /**
+     * Copies the appearance of the source diob onto the target diob, with the alpha the source is shown with.
+     * Whether the target is hidden is left to `setVisible`.
+     * @param pTarget - The diob to copy the appearance to.
+     * @param pSource - The diob to copy the appearance from.
+     */
+    copyAppearance(pTarget: any, pSource: any): void {
+        pTarget.setAppearance(pSource);
+        if (pSource._parallaxAlpha !== undefined) {
+            pTarget.alpha = pSource._parallaxAlpha;
+        }
+        delete pTarget._parallaxAlpha;
+    }
+
+    /**
+     * Gets the size of the diob's icon.
+     * @param pInstance - The diob to get the icon size of.
+     * @returns The size of the diob's icon.
+     */
+    getIconSize(pInstance: any): HostSize {
+        return { width: pInstance.icon.width, height: pInstance.icon.height };
+    }
+
+    /**
+     * Gets the scale of the diob.
+     * @param pInstance - The diob to get the scale of.
+     * @returns The scale of the diob.
+     */
+    getScale(pInstance: any): HostScale {
+        return { x: pInstance.scale.x, y: pInstance.scale.y };
+    }
+
+    /**
+     * Sets the scale of the diob.
+     * @param pInstance - The diob to scale.
+     * @param pX - The horizontal scale.
+     * @param pY - The vertical scale.
+     */
+    setScale(pInstance: any, pX: number, pY: number): void {
+        pInstance.scale = { x: pX, y: pY };
+    }
+
+    /**
+     * Shows or hides the diob through its alpha. The alpha it had is restored when it is shown again.
+     * @param pInstance - The diob to show or hide.
+     * @param pVisible - Whether the diob is shown.
+     */
+    setVisible(pInstance: any, pVisible: boolean): void {
+        if (pVisible) {
+            if (pInstance._parallaxAlpha !== undefined) {
+                pInstance.alpha = pInstance._parallaxAlpha;
+                delete pInstance._parallaxAlpha;
+            }
+        } else if (pInstance._parallaxAlpha === undefined) {
+            pInstance._parallaxAlpha = pInstance.alpha;
+            pInstance.alpha = 0;
+        }
+    }
+
+    /**
+     * Places the diob on the map.
+     * @param pInstance - The diob to place.
+     * @param pX - The x position to place the diob at.
+     * @param pY - The y position to place the diob at.
+     * @param pMapName - The name of the map to place the diob on.
+     */
+    setPosition(pInstance: any, pX: number, pY: number, pMapName: string): void {
+        pInstance.setPos(pX, pY, pMapName);
+    }
+}
+
+/**
+ * Options used to create an instance with the headless host adapter.
+ */
+export interface HeadlessInstanceOptions {
+    x?: number;
+    y?: number;
+    mapName?: string;
+    width?: number;
+    height?: number;
+    scaleX?: number;
+    scaleY?: number;
+}
+
+/**
+ * An in-memory host adapter that needs no game engine.
+ * Instances are plain objects, and the camera is moved with `setCamera`.
+ * Useful for running the parallax system in Node or Bun, or with renderers other than VYLO.
+ *
+ * @example
+ * ```typescript
+ * const host = new HeadlessHostAdapter();
+ * Parallax.setHost(host);
+ *
+ * const background = host.createInstance({ width: 640, height: 360 });
+ * Parallax.add(background, { horizontalSpeed: 0.5, verticalSpeed: 0, infiniteHorizontal: true });
+ *
+ * host.setCamera(100, 0);
+ * Parallax.update(100, 0);
+ * ```
+ */
+export class HeadlessHostAdapter implements HostAdapter {
+    /**
+     * The name of this host adapter.
+     */
+    readonly name = 'Headless';
+
+    /**
+     * The position of the camera.
+     */
+    camera: { x: number; y: number } | null = null;
+
+    /**
+     * The zoom of the camera. 1 is not zoomed.
+     */
+    zoom = 1;
+
+    /**
+     * A set of the clones this adapter has created and not yet destroyed.
+     */
+    clones = new Set<any>();
+
+    /**
+     * The headless host is always available.
+     * @returns Always true.
+     */
+    isReady(): boolean {
+        return true;
+    }
+
+    /**
+     * Sets the position of the camera.
+     * @param pX - The x position of the camera.
+     * @param pY - The y position of the camera.
+     */
+    setCamera(pX: number, pY: number): void {
+        this.camera = { x: pX, y: pY };
+    }
+
+    /**
+     * Gets the position of the camera.
+     * @returns The position of the camera, or null if it was never set.
+     */
+    getCameraPosition(): { x: number; y: number } | null {
+        return this.camera ? { ...this.camera } : null;
+    }
+
+    /**
+     * Sets the zoom of the camera.
+     * @param pZoom - The zoom of the camera. 1 is not zoomed.
+     */
+    setZoom(pZoom: number): void {
+        this.zoom = pZoom;
+    }
+
+    /**
+     * Gets the zoom of the camera.
+     * @returns The zoom of the camera.
+     */
+    getZoom(): number {
+        return this.zoom;
+    }
+
+    /**
+     * Creates a plain object that has everything the parallax system needs from an instance.
+     * @param pOptions - The initial position and size of the instance.
+     * @returns The new instance.
+     */
+    createInstance(pOptions: HeadlessInstanceOptions = {}): any {
+        return {
+            x: pOptions.x ?? 0,
+            y: pOptions.y ?? 0,
+            mapName: pOptions.mapName ?? '',
+            plane: 1,
+            visible: true,
+            icon: { width: pOptions.width ?? 0, height: pOptions.height ?? 0 },
+            scale: { x: pOptions.scaleX ?? 1, y: pOptions.scaleY ?? 1 }
+        };
+    }
+
+    /**
+     * Creates a plain object clone and tracks it.
+     * @param _pInstance - The instance the clone is being created for.
+     * @returns The newly created clone.
+     */
+    createClone(_pInstance: any): any {
+        const clone = this.createInstance();
+        this.clones.add(clone);
+        return clone;
+    }
+
+    /**
+     * Stops tracking the clone.
+     * @param pClone - The clone to destroy.
+     */
+    destroyClone(pClone: any): void {
+        this.clones.delete(pClone);
+    }
+
+    /**
+     * Copies the icon, scale, plane and visibility of the source onto the target.
+     * @param pTarget - The instance to copy the appearance to.
+     * @param pSource - The instance to copy the appearance from.
+     */
+    copyAppearance(pTarget: any, pSource: any): void {
+        pTarget.icon = { ...this.getIconSize(pSource) };
+        pTarget.scale = { ...this.getScale(pSource) };
+        pTarget.plane = pSource.plane;
+        pTarget.visible = pSource.visible;
+    }
+
+    /**
+     * Gets the size of the instance's icon. Missing values are treated as 0.
+     * @param pInstance - The instance to get the icon size of.
+     * @returns The size of the instance's icon.
+     */
+    getIconSize(pInstance: any): HostSize {
+        return { width: pInstance.icon?.width ?? 0, height: pInstance.icon?.height ?? 0 };
+    }
+
+    /**
+     * Gets the scale of the instance. Missing values are treated as 1.
+     * @param pInstance - The instance to get the scale of.
+     * @returns The scale of the instance.
+     */
+    getScale(pInstance: any): HostScale {
+        return { x: pInstance.scale?.x ?? 1, y: pInstance.scale?.y ?? 1 };
+    }
+
+    /**
+     * Sets the scale of the instance.
+     * @param pInstance - The instance to scale.
+     * @param pX - The horizontal scale.
+     * @param pY - The vertical scale.
+     */
+    setScale(pInstance: any, pX: number, pY: number): void {
+        pInstance.scale = { x: pX, y: pY };
+    }
+
+    /**
+     * Shows or hides the instance.
+     * @param pInstance - The instance to show or hide.
+     * @param pVisible - Whether the instance is shown.
+     */
+    setVisible(pInstance: any, pVisible: boolean): void {
+        pInstance.visible = pVisible;
+    }
+
+    /**
+     * Sets the position of the instance.
+     * @param pInstance - The instance to place.
+     * @param pX - The x position to place the instance at.
+     * @param pY - The y position to place the instance at.
+     * @param pMapName - The name of the map to place the instance on.
+     */
+    setPosition(pInstance: any, pX: number, pY: number, pMapName: string): void {
+        pInstance.x = pX;
+        pInstance.y = pY;
+        pInstance.mapName = pMapName;
+    }
+}
@@ -7,6 +7,17 @@
 export { Parallax, ParallaxSingleton } from './parallax.js';
 export { Layer } from './layer.js';
 export { EventEmitter } from './events.js';
+export { Viewport } from './viewport.js';
+export { PerspectiveProjection } from './perspective.js';
+export { SCENE_VERSION, validateScene } from './scene.js';
+export { Easing, Tween } from './tween.js';
+export { VyloHostAdapter, HeadlessHostAdapter } from './host.js';
 
 // Export types
-export type { CameraPosition, ParallaxConfig, ParallaxInstanceInfo } from './parallax.js';
+export type { CameraPosition, ParallaxConfig, ParallaxInstanceInfo, SmoothingConfig, SpeedTarget, ParallaxEventName, MoveEventData, WrapEventData, UpdateEventData } from './parallax.js';
+export type { LayerRole } from './layer.js';
+export type { ViewportInstanceState } from './viewport.js';
+export type { PerspectiveModel, PerspectiveProjectionOptions } from './perspective.js';
+export type { SceneDefinition, SceneLayerDefinition, SceneInstanceDefinition, SceneResolver } from './scene.js';
+export type { EasingFunction, EasingName } from './tween.js';
+export type { HostAdapter, HostSize, HostScale, HeadlessInstanceOptions } from './host.js';
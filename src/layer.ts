@@ -1,11 +1,26 @@
 import { Parallax } from './parallax.js';
+import type { ParallaxEventName, SmoothingConfig, SpeedTarget } from './parallax.js';
+import type { EasingFunction, EasingName, Tween } from './tween.js';
+
+/**
+ * The part an instance plays in a layer.
+ * Instances move with the layer, backgrounds also loop with it, and the ground stays at its height.
+ */
+export type LayerRole = 'instance' | 'background' | 'ground';
 
 interface LayerConfig {
+    name?: string;
     horizontalSpeed?: number;
     verticalSpeed?: number;
-    plane: number;
+    depth?: number;
+    plane?: number;
     infiniteHorizontal?: boolean;
     infiniteVertical?: boolean;
+    tiling?: boolean;
+    absolute?: boolean;
+    autoScrollX?: number;
+    autoScrollY?: number;
+    smoothing?: SmoothingConfig;
     cameraAnchorX?: number;
     cameraAnchorY?: number;
     groundY?: number;
@@ -18,8 +33,14 @@ interface LayerConfig {
 interface InstanceConfig {
     horizontalSpeed: number;
     verticalSpeed: number;
+    depth?: number;
     infiniteHorizontal: boolean;
     infiniteVertical: boolean;
+    tiling?: boolean;
+    absolute?: boolean;
+    autoScrollX?: number;
+    autoScrollY?: number;
+    smoothing?: SmoothingConfig;
     cameraAnchorX?: number;
     cameraAnchorY?: number;
     ground?: boolean;
@@ -35,11 +56,37 @@ export class Layer {
         // Move the instance with the camera if the parallax is set to 0
         horizontalSpeed: 0,
         verticalSpeed: 0,
+        // Pixels per second the layer scrolls on its own
+        autoScrollX: 0,
+        autoScrollY: 0,
+        // How the layer follows the position the camera gives it, it snaps to it when not set
+        smoothing: undefined as SmoothingConfig | undefined,
+        // The z-depth of the layer, its speeds come from the perspective model when set
+        depth: undefined as number | undefined,
         plane: 1,
-        backgrounds: new Set(),
-        instances: new Set()
+        // The settings the layer was created with, kept so the layer can be exported to a scene
+        name: undefined as string | undefined,
+        infiniteHorizontal: false,
+        infiniteVertical: false,
+        tiling: false,
+        absolute: undefined as boolean | undefined,
+        cameraAnchorX: undefined as number | undefined,
+        cameraAnchorY: undefined as number | undefined,
+        ground: null as any,
+        groundY: undefined as number | undefined,
+        groundMapname: undefined as string | undefined,
+        // Whether the members of the layer are left alone by updates, or hidden
+        paused: false,
+        hidden: false,
+        backgrounds: new Set<any>(),
+        instances: new Set<any>()
     }
 
+    /**
+     * The tween animating the speeds of this layer, if any.
+     */
+    speedTween: Tween | null = null;
+
     /**
      * Creates a new Parallax layer with the supplied configuration.
      * When creating a layer, all instances and backgrounds should already be on the map.
@@ -47,46 +94,72 @@ export class Layer {
      */
     constructor(pConfig: LayerConfig) {
         this.updateConfigSpeed(pConfig, true);
+        this.updateAutoScroll(pConfig.autoScrollX, pConfig.autoScrollY, true);
+        if (pConfig.depth !== undefined) {
+            this.updateDepth(pConfig.depth, true);
+        }
 
-        if (typeof pConfig.plane !== 'number') {
+        if (pConfig.plane === undefined && this.config.depth !== undefined) {
+            // Layers further away are drawn below the layers in front of them
+            this.config.plane = -this.config.depth;
+        } else if (typeof pConfig.plane !== 'number') {
             Parallax.logger.prefix('Parallax-Module').warn('Expected a number for "pConfig.plane", but received:', typeof pConfig.plane, '\n Default plane of "1" used.');
         } else {
             this.config.plane = pConfig.plane;
         }
 
+        if (pConfig.smoothing !== undefined) {
+            this.updateSmoothing(pConfig.smoothing, true);
+        }
+
+        this.config.name = pConfig.name;
+        this.config.infiniteHorizontal = pConfig.infiniteHorizontal ?? false;
+        this.config.infiniteVertical = pConfig.infiniteVertical ?? false;
+        this.config.tiling = pConfig.tiling ?? false;
+        this.config.absolute = pConfig.absolute;
+        this.config.cameraAnchorX = pConfig.cameraAnchorX;
+        this.config.cameraAnchorY = pConfig.cameraAnchorY;
+        this.config.groundY = pConfig.groundY;
+        this.config.groundMapname = pConfig.groundMapname;
+        Parallax.layers.add(this);
+
         const instanceConfig: InstanceConfig = {
             horizontalSpeed: this.config.horizontalSpeed,
             verticalSpeed: this.config.verticalSpeed,
+            autoScrollX: this.config.autoScrollX,
+            autoScrollY: this.config.autoScrollY,
+            ...(this.config.depth !== undefined && { depth: this.config.depth }),
+            ...(this.config.smoothing && { smoothing: this.config.smoothing }),
             infiniteHorizontal: false,
             infiniteVertical: false,
+            ...(pConfig.absolute !== undefined && { absolute: pConfig.absolute }),
             ...(pConfig.cameraAnchorX !== undefined && { cameraAnchorX: pConfig.cameraAnchorX }),
             ...(pConfig.cameraAnchorY !== undefined && { cameraAnchorY: pConfig.cameraAnchorY })
         }
 
         if (Array.isArray(pConfig.instances)) {
             pConfig.instances.forEach(pInstance => {
-                pInstance.plane = this.config.plane;
                 this.add(pInstance, instanceConfig);
             });
         }
 
         if (Array.isArray(pConfig.backgrounds)) {
             pConfig.backgrounds.forEach(pInstance => {
-                pInstance.plane = this.config.plane;
-                this.add(pInstance, { 
+                this.addBackground(pInstance, { 
                     ...instanceConfig, 
-                    infiniteHorizontal: pConfig.infiniteHorizontal ?? false, 
-                    infiniteVertical: pConfig.infiniteVertical ?? false 
+                    infiniteHorizontal: this.config.infiniteHorizontal, 
+                    infiniteVertical: this.config.infiniteVertical,
+                    tiling: this.config.tiling
                 });
             });
         }
 
         if (pConfig.ground) {
-            pConfig.ground.plane = this.config.plane;
             this.add(pConfig.ground, { 
                 ...instanceConfig, 
                 infiniteHorizontal: pConfig.infiniteHorizontal ?? false, 
                 infiniteVertical: pConfig.infiniteVertical ?? false, 
+                tiling: pConfig.tiling ?? false,
                 ground: true, 
                 ...(pConfig.groundY !== undefined && { groundY: pConfig.groundY }),
                 ...(pConfig.groundMapname !== undefined && { groundMapname: pConfig.groundMapname })
@@ -172,6 +245,127 @@ export class Layer {
         }
     }
 
+    /**
+     * Updates the z-depth of this layer. Its speeds are taken from `Parallax.perspective`.
+     * @param pDepth - The new depth. 0 is the plane the game is played on, larger depths are further away.
+     * @param pUpdateLayerConfigOnly - If only to update the layer config and not the instance config.
+     */
+    updateDepth(pDepth: number, pUpdateLayerConfigOnly: boolean): void {
+        if (typeof pDepth !== 'number') {
+            Parallax.logger.prefix('Parallax-Module').warn('Expected a number for "pDepth", but received:', typeof pDepth);
+            return
+        }
+
+        if (!Parallax.isValidDepth(pDepth)) {
+            Parallax.logger.prefix('Parallax-Module').warn(`A depth of ${pDepth} is at or behind the camera of the perspective model and was ignored.`);
+            return
+        }
+
+        const { horizontalSpeed, verticalSpeed } = Parallax.perspective.getSpeed(pDepth);
+        this.config.depth = pDepth;
+        this.config.horizontalSpeed = horizontalSpeed;
+        this.config.verticalSpeed = verticalSpeed;
+
+        if (!pUpdateLayerConfigOnly) {
+            const update = (pInstance: any) => {
+                if (Parallax.instanceWeakMap.has(pInstance)) {
+                    Parallax.setDepth(pInstance, pDepth);
+                }
+            }
+
+            this.config.instances.forEach(pInstance => {
+                update(pInstance);
+            });
+            this.config.backgrounds.forEach(pInstance => {
+                update(pInstance);
+            });
+        }
+    }
+
+    /**
+     * Updates how fast this layer scrolls on its own, independent of the camera.
+     * @param pAutoScrollX - The new horizontal auto-scroll speed in pixels per second.
+     * @param pAutoScrollY - The new vertical auto-scroll speed in pixels per second.
+     * @param pUpdateLayerConfigOnly - If only to update the layer config and not the instance config.
+     */
+    updateAutoScroll(pAutoScrollX: number | undefined, pAutoScrollY: number | undefined, pUpdateLayerConfigOnly: boolean): void {
+        const inValidScroll = (pAutoScrollX && typeof pAutoScrollX !== 'number') || (pAutoScrollY && typeof pAutoScrollY !== 'number');
+
+        if (inValidScroll) {
+            Parallax.logger.prefix('Parallax-Module').warn('Expected a number for "pAutoScrollX" and "pAutoScrollY", but received:', typeof pAutoScrollX, typeof pAutoScrollY);
+            return
+        }
+
+        if (pAutoScrollX !== undefined) {
+            this.config.autoScrollX = pAutoScrollX;
+        }
+
+        if (pAutoScrollY !== undefined) {
+            this.config.autoScrollY = pAutoScrollY;
+        }
+
+        if (!pUpdateLayerConfigOnly) {
+            const update = (pInstance: any) => {
+                if (Parallax.instanceWeakMap.has(pInstance)) {
+                    Parallax.setAutoScroll(pInstance, this.config.autoScrollX, this.config.autoScrollY);
+                }
+            }
+
+            this.config.instances.forEach(pInstance => {
+                update(pInstance);
+            });
+            this.config.backgrounds.forEach(pInstance => {
+                update(pInstance);
+            });
+        }
+    }
+
+    /**
+     * Updates how this layer follows the position the camera gives it, instead of snapping to it.
+     * @param pSmoothing - The new smoothing, or null to snap again.
+     * @param pUpdateLayerConfigOnly - If only to update the layer config and not the instance config.
+     */
+    updateSmoothing(pSmoothing: SmoothingConfig | null, pUpdateLayerConfigOnly: boolean): void {
+        if (pSmoothing !== null && typeof pSmoothing !== 'object') {
+            Parallax.logger.prefix('Parallax-Module').warn('Expected an object or null for "pSmoothing", but received:', typeof pSmoothing);
+            return
+        }
+
+        this.config.smoothing = pSmoothing ? { ...pSmoothing } : undefined;
+
+        if (!pUpdateLayerConfigOnly) {
+            this.getMembers().forEach((pInstance) => {
+                if (Parallax.instanceWeakMap.has(pInstance)) {
+                    Parallax.setSmoothing(pInstance, pSmoothing);
+                }
+            });
+        }
+    }
+
+    /**
+     * Animates the speeds of this layer to new speeds, driven by the frame delta passed to `Parallax.update`.
+     * A speed tween already running on this layer is stopped. Slowing the layer to a speed of 0 stops it where it is.
+     * @param pSpeed - The speeds to animate to. Speeds that are left out are not changed.
+     * @param pDuration - How long the animation takes in milliseconds.
+     * @param pEasing - The easing function, or the name of one in `Easing`.
+     * @returns The tween.
+     */
+    tweenSpeed(pSpeed: SpeedTarget, pDuration: number, pEasing: EasingFunction | EasingName = 'linear'): Tween {
+        const { horizontalSpeed, verticalSpeed } = this.config;
+        const toHorizontal = pSpeed.horizontalSpeed ?? horizontalSpeed;
+        const toVertical = pSpeed.verticalSpeed ?? verticalSpeed;
+
+        this.speedTween?.stop();
+        this.getMembers().forEach((pInstance) => {
+            Parallax.holdOnStop(pInstance, { horizontalSpeed, verticalSpeed }, { horizontalSpeed: toHorizontal, verticalSpeed: toVertical });
+        });
+        this.speedTween = Parallax.tween(pDuration, pEasing, (pProgress) => {
+            this.updateHorizontalSpeed(horizontalSpeed + (toHorizontal - horizontalSpeed) * pProgress, false);
+            this.updateVerticalSpeed(verticalSpeed + (toVertical - verticalSpeed) * pProgress, false);
+        });
+        return this.speedTween;
+    }
+
     /**
      * Adds the instance to the parallax layer.
      * When using this API the instance should already be on the map.
@@ -180,25 +374,127 @@ export class Layer {
      * @param pConfig - The personal config of this instance. Akin to the parallax info passed via the `Parallax.add` API.
      */
     add(pInstance: any, pConfig?: InstanceConfig): void {
-        if (this.config.instances.has(pInstance)) return;
-        this.config.instances.add(pInstance);
+        if (this.has(pInstance)) return;
         const isGround = pConfig?.ground ?? false;
         const groundY = isGround ? pConfig?.groundY : undefined;
         const groundMapname = isGround ? pConfig?.groundMapname : undefined;
+        const smoothing = pConfig?.smoothing ?? this.config.smoothing;
         const config: InstanceConfig = {
             horizontalSpeed: this.config.horizontalSpeed,
             verticalSpeed: this.config.verticalSpeed,
+            autoScrollX: pConfig?.autoScrollX ?? this.config.autoScrollX,
+            autoScrollY: pConfig?.autoScrollY ?? this.config.autoScrollY,
+            ...(this.config.depth !== undefined && { depth: this.config.depth }),
+            ...(smoothing && { smoothing }),
             // Not using chaining operator due to the docs parser not supporting it.
             infiniteHorizontal: pConfig?.infiniteHorizontal ?? false,
             infiniteVertical: pConfig?.infiniteVertical ?? false,
+            tiling: pConfig?.tiling ?? false,
+            ...(pConfig?.absolute !== undefined && { absolute: pConfig.absolute }),
             ...(pConfig?.cameraAnchorX !== undefined && { cameraAnchorX: pConfig.cameraAnchorX }),
             ...(pConfig?.cameraAnchorY !== undefined && { cameraAnchorY: pConfig.cameraAnchorY }),
             ground: isGround,
             ...(groundY !== undefined && { groundY }),
             ...(groundMapname !== undefined && { groundMapname })
         }
+        // The ground is one of the layer's instances as well, so speed updates reach it
+        this.config.instances.add(pInstance);
+        if (isGround) {
+            this.config.ground = pInstance;
+        }
+        this.attach(pInstance, config);
+    }
+
+    /**
+     * Adds the instance to the parallax layer as a background. Backgrounds loop along with the layer.
+     * When using this API the instance should already be on the map.
+     * The instance's 'plane' will be changed to match the plane of the layer.
+     * @param pInstance - The instance to add to the layer.
+     * @param pConfig - The personal config of this instance. The looping settings default to the layer's.
+     */
+    addBackground(pInstance: any, pConfig?: Partial<InstanceConfig>): void {
+        if (this.has(pInstance)) return;
+        const smoothing = pConfig?.smoothing ?? this.config.smoothing;
+        const config: InstanceConfig = {
+            horizontalSpeed: this.config.horizontalSpeed,
+            verticalSpeed: this.config.verticalSpeed,
+            autoScrollX: pConfig?.autoScrollX ?? this.config.autoScrollX,
+            autoScrollY: pConfig?.autoScrollY ?? this.config.autoScrollY,
+            ...(this.config.depth !== undefined && { depth: this.config.depth }),
+            ...(smoothing && { smoothing }),
+            infiniteHorizontal: pConfig?.infiniteHorizontal ?? this.config.infiniteHorizontal,
+            infiniteVertical: pConfig?.infiniteVertical ?? this.config.infiniteVertical,
+            tiling: pConfig?.tiling ?? this.config.tiling,
+            ...(pConfig?.absolute !== undefined && { absolute: pConfig.absolute }),
+            ...(pConfig?.cameraAnchorX !== undefined && { cameraAnchorX: pConfig.cameraAnchorX }),
+            ...(pConfig?.cameraAnchorY !== undefined && { cameraAnchorY: pConfig.cameraAnchorY })
+        }
+        this.config.backgrounds.add(pInstance);
+        this.attach(pInstance, config);
+    }
+
+    /**
+     * Adds the instance to the parallax system as a member of this layer, and gives it the layer's plane, pause and visibility.
+     * @param pInstance - The instance to attach.
+     * @param pConfig - The parallax info of the instance.
+     */
+    attach(pInstance: any, pConfig: InstanceConfig): void {
         pInstance.plane = this.config.plane;
-        Parallax.add(pInstance, config);
+        Parallax.add(pInstance, pConfig, this);
+        const parallaxInfo = Parallax.instanceWeakMap.get(pInstance);
+        if (!parallaxInfo) return;
+        // The instance may have been in the parallax system before it joined this layer
+        parallaxInfo.layer = this;
+        if (this.config.paused) {
+            Parallax.disable(pInstance);
+        }
+        if (this.config.hidden) {
+            Parallax.hide(pInstance);
+        }
+    }
+
+    /**
+     * Removes the instance from this layer's members without removing it from the parallax system.
+     * @param pInstance - The instance to detach.
+     * @returns The role the instance had in this layer, or undefined if it was not in this layer.
+     */
+    detach(pInstance: any): LayerRole | undefined {
+        const role = this.getRole(pInstance);
+        if (!role) return undefined;
+
+        if (role === 'ground') {
+            this.config.ground = null;
+        }
+        this.config.backgrounds.delete(pInstance);
+        this.config.instances.delete(pInstance);
+
+        const parallaxInfo = Parallax.instanceWeakMap.get(pInstance);
+        if (parallaxInfo?.layer === this) {
+            parallaxInfo.layer = undefined;
+        }
+        return role;
+    }
+
+    /**
+     * Whether the instance is a member of this layer.
+     * @param pInstance - The instance to check.
+     * @returns Whether the instance is in this layer.
+     */
+    has(pInstance: any): boolean {
+        return this.getRole(pInstance) !== undefined;
+    }
+
+    /**
+     * Gets the part the instance plays in this layer.
+     * @param pInstance - The instance to get the role of.
+     * @returns The role of the instance, or undefined if it is not in this layer.
+     */
+    getRole(pInstance: any): LayerRole | undefined {
+        if (!pInstance) return undefined;
+        if (this.config.ground === pInstance) return 'ground';
+        if (this.config.backgrounds.has(pInstance)) return 'background';
+        if (this.config.instances.has(pInstance)) return 'instance';
+        return undefined;
     }
 
     /**
@@ -218,11 +514,220 @@ export class Layer {
     }
 
     /**
-     * Removes the instance from the parallax layer.
+     * Gets the ground of this parallax layer.
+     * @returns The ground of this parallax layer, or null if it has none.
+     */
+    getGround(): any {
+        return this.config.ground;
+    }
+
+    /**
+     * Gets every instance, background and the ground of this parallax layer.
+     * @returns Every member of this parallax layer.
+     */
+    getMembers(): any[] {
+        // The ground is in the instances
+        return [...this.config.instances, ...this.config.backgrounds];
+    }
+
+    /**
+     * Removes the instance from the parallax layer and the parallax system, and destroys its clones.
      * @param pInstance - The instance to remove from the layer.
      */
     remove(pInstance: any): void {
-        this.config.instances.delete(pInstance);
+        if (!this.has(pInstance)) return;
+        // Detaches the instance from this layer as well
         Parallax.remove(pInstance);
     }
+
+    /**
+     * Removes every member of this layer from the parallax system and forgets the layer.
+     * The instances themselves stay on the map, only their clones are destroyed.
+     */
+    destroy(): void {
+        this.speedTween?.stop();
+        this.getMembers().forEach((pInstance) => {
+            this.remove(pInstance);
+        });
+        Parallax.layers.delete(this);
+    }
+
+    /**
+     * Stops the members of this layer from being updated. They stay where they are until the layer is resumed.
+     */
+    pause(): void {
+        this.config.paused = true;
+        this.getMembers().forEach((pInstance) => {
+            Parallax.disable(pInstance);
+        });
+    }
+
+    /**
+     * Lets the members of this layer be updated again. They continue from where they were left.
+     */
+    resume(): void {
+        this.config.paused = false;
+        this.getMembers().forEach((pInstance) => {
+            Parallax.enable(pInstance);
+        });
+    }
+
+    /**
+     * Whether this layer is paused.
+     * @returns Whether this layer is paused.
+     */
+    isPaused(): boolean {
+        return this.config.paused;
+    }
+
+    /**
+     * Shows the members of this layer and their clones.
+     */
+    show(): void {
+        this.config.hidden = false;
+        this.getMembers().forEach((pInstance) => {
+            Parallax.show(pInstance);
+        });
+    }
+
+    /**
+     * Hides the members of this layer and their clones. They keep being updated.
+     */
+    hide(): void {
+        this.config.hidden = true;
+        this.getMembers().forEach((pInstance) => {
+            Parallax.hide(pInstance);
+        });
+    }
+
+    /**
+     * Whether this layer is shown.
+     * @returns Whether this layer is shown.
+     */
+    isVisible(): boolean {
+        return !this.config.hidden;
+    }
+
+    /**
+     * Moves the instance from this layer to another layer. It keeps its role and its clones,
+     * and takes on the plane, speeds, auto-scroll, pause and visibility of the new layer.
+     * Backgrounds and the ground also take on the new layer's looping.
+     * @param pInstance - The instance to move.
+     * @param pLayer - The layer to move the instance to.
+     */
+    moveInstance(pInstance: any, pLayer: Layer): void {
+        if (!(pLayer instanceof Layer)) {
+            Parallax.logger.prefix('Parallax-Module').error('No pLayer passed or invalid type found!');
+            return;
+        }
+
+        if (pLayer === this) return;
+
+        const role = this.getRole(pInstance);
+        const parallaxInfo = Parallax.instanceWeakMap.get(pInstance);
+        if (!role || !parallaxInfo) {
+            Parallax.logger.prefix('Parallax-Module').error('This instance is not in this layer!');
+            return;
+        }
+
+        if (role === 'ground' && pLayer.config.ground) {
+            Parallax.logger.prefix('Parallax-Module').warn('The layer already has a ground! The instance was not moved.');
+            return;
+        }
+
+        this.detach(pInstance);
+        pLayer.adopt(pInstance, role);
+
+        // Both layers hear about the change
+        const data = { from: this, to: pLayer };
+        Parallax.dispatch(pInstance, 'LayerChangeEvent', data, pLayer);
+        Parallax.events.emit(pInstance, 'LayerChangeEvent', data, this);
+    }
+
+    /**
+     * Registers a listener for a specified event on every member of this layer.
+     * @param pEventName - The name of the event.
+     * @param pListener - The function to invoke when the event is triggered.
+     */
+    on(pEventName: ParallaxEventName, pListener: Function): void {
+        Parallax.events.on(this, pEventName, pListener);
+    }
+
+    /**
+     * Registers a listener for a specified event on every member of this layer that is removed after it is invoked once.
+     * @param pEventName - The name of the event.
+     * @param pListener - The function to invoke when the event is triggered.
+     */
+    once(pEventName: ParallaxEventName, pListener: Function): void {
+        Parallax.events.once(this, pEventName, pListener);
+    }
+
+    /**
+     * Unregisters a listener for a specified event on this layer.
+     * @param pEventName - The name of the event.
+     * @param pListener - The function to remove from the event.
+     */
+    off(pEventName: ParallaxEventName, pListener: Function): void {
+        Parallax.events.off(this, pEventName, pListener);
+    }
+
+    /**
+     * Takes in an instance that is already in the parallax system and gives it the settings of this layer.
+     * @param pInstance - The instance to take in.
+     * @param pRole - The role the instance plays in this layer.
+     */
+    adopt(pInstance: any, pRole: LayerRole): void {
+        const parallaxInfo = Parallax.instanceWeakMap.get(pInstance);
+        if (!parallaxInfo) return;
+
+        if (pRole === 'background') {
+            this.config.backgrounds.add(pInstance);
+        } else {
+            this.config.instances.add(pInstance);
+        }
+        if (pRole === 'ground') {
+            this.config.ground = pInstance;
+        }
+        parallaxInfo.layer = this;
+
+        Parallax.setPlane(pInstance, this.config.plane);
+        if (this.config.depth !== undefined) {
+            Parallax.setDepth(pInstance, this.config.depth);
+        } else {
+            delete parallaxInfo.depth;
+            parallaxInfo.horizontalSpeed = this.config.horizontalSpeed;
+            parallaxInfo.verticalSpeed = this.config.verticalSpeed;
+        }
+        Parallax.setAutoScroll(pInstance, this.config.autoScrollX, this.config.autoScrollY);
+        Parallax.setSmoothing(pInstance, this.config.smoothing ?? null);
+        if (this.config.absolute !== undefined) {
+            parallaxInfo.absolute = this.config.absolute;
+        }
+
+        if (pRole === 'ground') {
+            if (this.config.groundY !== undefined) {
+                parallaxInfo.groundY = this.config.groundY;
+            }
+            if (this.config.groundMapname !== undefined) {
+                parallaxInfo.groundMapname = this.config.groundMapname;
+            }
+        }
+
+        if (pRole !== 'instance') {
+            const { infiniteHorizontal, infiniteVertical, tiling } = this.config;
+            const loopsChanged = !!parallaxInfo.infiniteHorizontal !== infiniteHorizontal || !!parallaxInfo.infiniteVertical !== infiniteVertical || !!parallaxInfo.tiling !== tiling;
+            if (loopsChanged) {
+                Parallax.setInfinite(pInstance, infiniteHorizontal, infiniteVertical, tiling);
+            }
+        }
+
+        if (this.config.paused) {
+            Parallax.disable(pInstance);
+        } else {
+            Parallax.enable(pInstance);
+        }
+        if (!!parallaxInfo.hidden !== this.config.hidden) {
+            Parallax.setVisible(pInstance, !this.config.hidden);
+        }
+    }
 }
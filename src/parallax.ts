@@ -2,6 +2,15 @@
 import { Logger } from './vendor/logger.min.mjs';
 import { Layer } from './layer.js';
 import { EventEmitter } from './events.js';
+import { VyloHostAdapter } from './host.js';
+import type { HostAdapter, HostSize } from './host.js';
+import { Viewport } from './viewport.js';
+import { PerspectiveProjection } from './perspective.js';
+import type { PerspectiveModel } from './perspective.js';
+import { SCENE_VERSION, validateScene } from './scene.js';
+import type { SceneDefinition, SceneInstanceDefinition, SceneLayerDefinition, SceneResolver } from './scene.js';
+import { Easing, Tween } from './tween.js';
+import type { EasingFunction, EasingName } from './tween.js';
 
 /**
  * Represents a camera position with x and y coordinates.
@@ -11,14 +20,124 @@ export interface CameraPosition {
     y: number | null;
 }
 
+/**
+ * How an instance follows the position the camera gives it, instead of snapping to it.
+ */
+export interface SmoothingConfig {
+    /**
+     * `damping` eases toward the position, `spring` is pulled toward it and can overshoot a little. Defaults to `damping`.
+     */
+    type?: 'damping' | 'spring';
+    /**
+     * Damping only. How long in milliseconds the instance takes to cover about two thirds of the distance to its position. Defaults to 100.
+     */
+    lag?: number;
+    /**
+     * Spring only. How hard the spring pulls toward the position. Defaults to 120.
+     */
+    stiffness?: number;
+    /**
+     * Spring only. How much the spring's motion is slowed. Defaults to 20.
+     */
+    damping?: number;
+}
+
+/**
+ * The speeds a speed tween moves toward. Speeds that are left out are not changed.
+ */
+export interface SpeedTarget {
+    horizontalSpeed?: number;
+    verticalSpeed?: number;
+}
+
+/**
+ * The events the parallax system emits. Listen on an instance, on a layer for all of its members, or globally.
+ */
+export type ParallaxEventName = 'MoveEvent' | 'WrapEvent' | 'AddEvent' | 'RemoveEvent' | 'LayerChangeEvent' | 'UpdateEvent';
+
+/**
+ * The data of a `MoveEvent`, emitted when an instance moves in a viewport.
+ */
+export interface MoveEventData {
+    viewport: string;
+    oldX: number;
+    oldY: number;
+    x: number;
+    y: number;
+    deltaX: number;
+    deltaY: number;
+}
+
+/**
+ * The data of a `WrapEvent`, emitted when an infinite instance jumps by whole tiles to stay under the camera.
+ */
+export interface WrapEventData {
+    viewport: string;
+    /**
+     * The direction the instance jumped in.
+     */
+    direction: 'left' | 'right' | 'up' | 'down';
+    /**
+     * How many tiles the instance jumped.
+     */
+    tiles: number;
+    /**
+     * How far the instance jumped in pixels.
+     */
+    distance: number;
+}
+
+/**
+ * The data of an `UpdateEvent`, emitted once per `Parallax.update` after every instance is updated.
+ */
+export interface UpdateEventData {
+    viewport: string;
+    cameraX: number;
+    cameraY: number;
+    deltaX: number;
+    deltaY: number;
+    deltaTime: number;
+}
+
 /**
  * Configuration object for parallax instances.
  */
 export interface ParallaxConfig {
-    horizontalSpeed: number;
-    verticalSpeed: number;
+    /**
+     * Required unless `depth` is set.
+     */
+    horizontalSpeed?: number;
+    /**
+     * Required unless `depth` is set.
+     */
+    verticalSpeed?: number;
+    /**
+     * The z-depth of the instance. When set, its speeds come from `Parallax.perspective`, and it is scaled and offset when the camera zooms.
+     */
+    depth?: number;
     infiniteHorizontal?: boolean;
     infiniteVertical?: boolean;
+    /**
+     * Cover the viewport with a grid of clones on the infinite axes instead of two clones per axis.
+     */
+    tiling?: boolean;
+    /**
+     * Position the instance from its origin, the camera and the anchor every update instead of moving it by the camera delta.
+     * Falls back to `Parallax.absolute` when not set.
+     */
+    absolute?: boolean;
+    /**
+     * How fast the instance scrolls on its own horizontally, in pixels per second.
+     */
+    autoScrollX?: number;
+    /**
+     * How fast the instance scrolls on its own vertically, in pixels per second.
+     */
+    autoScrollY?: number;
+    /**
+     * Follow the position the camera gives the instance with a lag. Left out, the instance snaps to it.
+     */
+    smoothing?: SmoothingConfig;
     cameraAnchorX?: number;
     cameraAnchorY?: number;
     ground?: boolean;
@@ -30,22 +149,35 @@ export interface ParallaxConfig {
  * Extended configuration for parallax instances with additional internal properties.
  */
 export interface ParallaxInstanceInfo extends ParallaxConfig {
+    horizontalSpeed: number;
+    verticalSpeed: number;
     horizontalChildren?: any[];
     verticalChildren?: any[];
-}
-
-// Global VYLO interface declaration
-declare global {
-    interface VYLOClient {
-        getViewEye(): { x: number; y: number } | null;
-    }
-    
-    interface VYLO {
-        Client: VYLOClient;
-        newDiob(type: string): any;
-    }
-    
-    var VYLO: VYLO;
+    originX?: number;
+    originY?: number;
+    originMapName?: string;
+    /**
+     * The layer the instance belongs to, if any.
+     */
+    layer?: Layer;
+    /**
+     * Whether the instance is left alone by `Parallax.update`.
+     */
+    disabled?: boolean;
+    /**
+     * Whether the instance and its clones are hidden.
+     */
+    hidden?: boolean;
+    /**
+     * The tween animating the instance's speeds, if any.
+     */
+    speedTween?: Tween;
+    /**
+     * Whether a speed of 0 on the axis holds the instance where it is in the world, instead of keeping it with the camera.
+     * Set when a speed tween slows a moving instance to a stop.
+     */
+    holdX?: boolean;
+    holdY?: boolean;
 }
 
 /**
@@ -80,6 +212,11 @@ class ParallaxSingleton {
      */
     Layer = Layer;
     
+    /**
+     * The host adapter used to talk to the engine that owns the instances.
+     */
+    host: HostAdapter = new VyloHostAdapter();
+    
     /**
      * An set of instances that use the parallax system.
      */
@@ -91,335 +228,1375 @@ class ParallaxSingleton {
     instanceWeakMap = new WeakMap<any, ParallaxInstanceInfo>();
     
     /**
-     * The last position of the camera.
+     * A set of the layers that have been created.
      */
-    lastCamPos: CameraPosition = { x: null, y: null };
+    layers = new Set<Layer>();
     
     /**
-     * The virtual position on the map where the layers look natural together.
+     * Whether instances use absolute positioning when their config does not say.
+     * Absolute positioning does not build up floating point error over long sessions.
      */
-    cameraAnchor: CameraPosition = { x: null, y: null };
+    absolute = false;
     
     /**
-     * Whether the anchor y position is set.
+     * Whether time based motion, such as auto-scroll, is paused.
      */
-    anchorYSet = false;
+    paused = false;
     
     /**
-     * Whether the anchor x position is set.
+     * The tweens that are running. They are advanced when the default viewport updates.
+     */
+    tweens = new Set<Tween>();
+    
+    /**
+     * Whether it was already logged that the host cannot scale instances for camera zoom.
+     */
+    warnedNoScale = false;
+    
+    /**
+     * The perspective model that turns depths into speeds and zoom scales.
+     */
+    perspective: PerspectiveModel = new PerspectiveProjection();
+    
+    /**
+     * The viewport `Parallax.update` uses when no viewport is passed.
+     */
+    defaultViewport = new Viewport('default');
+    
+    /**
+     * Map of the viewports in the parallax system by name.
      */
-    anchorXSet = false;
+    viewports = new Map<string, Viewport>([[this.defaultViewport.name, this.defaultViewport]]);
     
     constructor() {
         this.logger.registerType('Parallax-Module', '#ff6600');
     }
     
     /**
-     * Gets the camera position.
-     * @returns The camera position.
+     * The last position of the default viewport's camera.
      */
-    getCamPos(): CameraPosition {
-        const viewEye = VYLO.Client.getViewEye();
-        if (viewEye) {
-            return { x: viewEye.x, y: viewEye.y };
-        }
-        return { x: null, y: null };
+    get lastCamPos(): CameraPosition {
+        return this.defaultViewport.lastCamPos;
     }
     
-    /**
-     * Whether the last camera position is set.
-     * @returns Whether the last camera position is set.
-     */
-    hasLastCamPos(): boolean {
-        return this.lastCamPos.x !== null && this.lastCamPos.y !== null;
+    set lastCamPos(pLastCamPos: CameraPosition) {
+        this.defaultViewport.lastCamPos = pLastCamPos;
     }
     
     /**
-     * Sets the last camera position.
-     * @param pX - The last x position of the camera.
-     * @param pY - The last y position of the camera.
+     * The virtual position on the map where the layers look natural together in the default viewport.
      */
-    setLastCamPos(pX: number, pY: number): void {
-        this.lastCamPos.x = pX;
-        this.lastCamPos.y = pY;
+    get cameraAnchor(): CameraPosition {
+        return this.defaultViewport.cameraAnchor;
+    }
+    
+    set cameraAnchor(pCameraAnchor: CameraPosition) {
+        this.defaultViewport.cameraAnchor = pCameraAnchor;
     }
     
     /**
-     * Sets the anchor position for the parallax system.
-     * @param pCameraAnchor - The virtual position on the map where the layers look natural together.
+     * Whether the default viewport's anchor y position is set.
      */
-    setCameraAnchor(pCameraAnchor: CameraPosition): void {
-        this.setCameraAnchorX(pCameraAnchor.x);
-        this.setCameraAnchorY(pCameraAnchor.y);
+    get anchorYSet(): boolean {
+        return this.defaultViewport.anchorYSet;
+    }
+    
+    set anchorYSet(pAnchorYSet: boolean) {
+        this.defaultViewport.anchorYSet = pAnchorYSet;
     }
     
     /**
-     * Sets the anchor x position for the parallax system.
-     * @param pXAnchor - The x position to set the anchor to.
+     * Whether the default viewport's anchor x position is set.
      */
-    setCameraAnchorX(pXAnchor: number | null): void {
-        this.cameraAnchor.x = pXAnchor;
-        this.anchorXSet = true;
+    get anchorXSet(): boolean {
+        return this.defaultViewport.anchorXSet;
+    }
+    
+    set anchorXSet(pAnchorXSet: boolean) {
+        this.defaultViewport.anchorXSet = pAnchorXSet;
     }
     
     /**
-     * Sets the anchor y position for the parallax system.
-     * @param pYAnchor - The y position to set the anchor to.
+     * Sets the host adapter used to talk to the engine that owns the instances.
+     * Set this before adding any instances.
+     * @param pHost - The host adapter to use.
      */
-    setCameraAnchorY(pYAnchor: number | null): void {
-        this.cameraAnchor.y = pYAnchor;
-        this.anchorYSet = true;
+    setHost(pHost: HostAdapter): void {
+        if (!pHost) {
+            this.logger.prefix('Parallax-Module').error('No pHost passed!');
+            return;
+        }
+        this.host = pHost;
     }
     
     /**
-     * Gets the anchor position.
-     * @returns The anchor position.
+     * Gets the host adapter in use.
+     * @returns The host adapter in use.
      */
-    getCameraAnchor(): CameraPosition {
-        return { ...this.cameraAnchor };
+    getHost(): HostAdapter {
+        return this.host;
     }
     
     /**
-     * Gets the anchor x position.
-     * @returns The anchor x position.
+     * Gets the size of the instance with its scale applied.
+     * @param pInstance - The instance to get the size of.
+     * @returns The scaled size of the instance.
      */
-    getAnchorX(): number | null {
-        return this.cameraAnchor.x;
+    getScaledSize(pInstance: any): HostSize {
+        const { width, height } = this.host.getIconSize(pInstance);
+        const { x: scaleX, y: scaleY } = this.host.getScale(pInstance);
+        return { width: width * scaleX, height: height * scaleY };
     }
     
     /**
-     * Gets the anchor y position.
-     * @returns The anchor y position.
+     * Gets the size of the instance in a viewport, without the scale applied for camera zoom.
+     * @param pInstance - The instance to get the size of.
+     * @param pViewport - The viewport the instance is in.
+     * @returns The scaled size of the instance before zoom.
      */
-    getAnchorY(): number | null {
-        return this.cameraAnchor.y;
+    getBaseSize(pInstance: any, pViewport: Viewport = this.defaultViewport): HostSize {
+        const state = pViewport.getInstanceState(pInstance);
+        const { width, height } = this.getScaledSize(state?.target ?? pInstance);
+        const zoomScale = state?.zoomScale ?? 1;
+        return { width: width / zoomScale, height: height / zoomScale };
     }
     
     /**
-     * Resets the anchor position.
+     * Sets the perspective model that turns depths into speeds and zoom scales.
+     * The speeds of every instance with a depth are updated.
+     * @param pPerspective - The perspective model to use.
      */
-    resetAnchor(): void {
-        this.resetAnchorX();
-        this.resetAnchorY();
+    setPerspective(pPerspective: PerspectiveModel): void {
+        if (!pPerspective) {
+            this.logger.prefix('Parallax-Module').error('No pPerspective passed!');
+            return;
+        }
+        this.perspective = pPerspective;
+
+        for (const instance of this.instances) {
+            const depth = this.instanceWeakMap.get(instance)?.depth;
+            if (typeof depth === 'number') {
+                this.setDepth(instance, depth);
+            }
+        }
     }
     
     /**
-     * Resets the anchor x position.
+     * Sets the z-depth of the instance. Its speeds are taken from the perspective model.
+     * @param pInstance - The instance to set the depth of.
+     * @param pDepth - The depth. 0 is the plane the game is played on, larger depths are further away.
      */
-    resetAnchorX(): void {
-        this.cameraAnchor.x = null;
-        this.anchorXSet = false;
+    setDepth(pInstance: any, pDepth: number): void {
+        const parallaxConfig = this.instanceWeakMap.get(pInstance);
+        if (!parallaxConfig) {
+            this.logger.prefix('Parallax-Module').error('This instance is not in the parallax system!');
+            return;
+        }
+
+        if (typeof pDepth !== 'number') {
+            this.logger.prefix('Parallax-Module').warn('Expected a number for "pDepth", but received:', typeof pDepth);
+            return;
+        }
+
+        if (!this.isValidDepth(pDepth)) {
+            this.logger.prefix('Parallax-Module').warn(`A depth of ${pDepth} is at or behind the camera of the perspective model and was ignored.`);
+            return;
+        }
+
+        const { horizontalSpeed, verticalSpeed } = this.perspective.getSpeed(pDepth);
+        parallaxConfig.depth = pDepth;
+        parallaxConfig.horizontalSpeed = horizontalSpeed;
+        parallaxConfig.verticalSpeed = verticalSpeed;
     }
     
     /**
-     * Resets the anchor y position.
+     * Whether a layer can be placed at the depth with the current perspective model.
+     * @param pDepth - The depth to check.
+     * @returns Whether the depth can be used.
      */
-    resetAnchorY(): void {
-        this.cameraAnchor.y = null;
-        this.anchorYSet = false;
+    isValidDepth(pDepth: number): boolean {
+        if (typeof pDepth !== 'number' || isNaN(pDepth)) return false;
+        return this.perspective.isValidDepth ? this.perspective.isValidDepth(pDepth) : true;
     }
     
     /**
-     * Whether the anchor x position is set.
-     * @returns Whether the anchor x position is set.
+     * Sets the zoom of the default viewport's camera. The host's zoom is no longer read until `resetZoom` is called.
+     * @param pZoom - The zoom of the camera. 1 is not zoomed.
      */
-    isAnchorXSet(): boolean {
-        return this.anchorXSet;
+    setZoom(pZoom: number): void {
+        this.defaultViewport.setZoom(pZoom);
     }
     
     /**
-     * Whether the anchor y position is set.
-     * @returns Whether the anchor y position is set.
+     * Stops using the zoom set with `setZoom`, so the default viewport reads the zoom from the host again.
      */
-    isAnchorYSet(): boolean {
-        return this.anchorYSet;
+    resetZoom(): void {
+        this.defaultViewport.resetZoom();
     }
     
     /**
-     * Creates two clones of the instance to loop infinitely.
-     * @param pInstance - The instance to base the clones off of.
-     * @returns An array of the two clones.
+     * Gets the camera position.
+     * @returns The camera position.
      */
-    createLoopInstances(pInstance: any): any[] {
-        // Create a left and right clone
-        const first = VYLO.newDiob('MapObject');
-        const second = VYLO.newDiob('MapObject');
-
-        pInstance._parallaxChildren = [first, second];
-        pInstance.getParallaxChildren = () => [...pInstance._parallaxChildren];
-
-        const children = [first, second];
-
-        first.isCullable = false;
-        second.isCullable = false;
-
-        // Make the left and right clone particle look the same as the initial instance
-        first.setAppearance(pInstance);
-        second.setAppearance(pInstance);
-
-        return children;
+    getCamPos(): CameraPosition {
+        const camera = this.host.getCameraPosition();
+        if (camera) {
+            return { x: camera.x, y: camera.y };
+        }
+        return { x: null, y: null };
     }
     
     /**
-     * Enables infinite looping for the horizontal plane.
-     * @param pInstance - The instance to loop.
+     * Creates a new viewport with its own camera position, anchor and instance state.
+     * Every instance in the parallax system is cloned into the new viewport.
+     * @param pName - The name of the viewport.
+     * @param pCameraX - The starting x position of the viewport's camera.
+     * @param pCameraY - The starting y position of the viewport's camera.
+     * @returns The new viewport, or the existing viewport if one with this name already exists.
      */
-    toggleInfiniteHorizontal(pInstance: any): void {
-        const [left, right] = this.createLoopInstances(pInstance);
-        const { x: scaleX } = pInstance.scale;
-
-        // Position the left clone
-        left.x = pInstance.x - pInstance.icon.width * scaleX;
-        left.y = pInstance.y;
-        left.mapName = pInstance.mapName;
-
-        // Position the right clone
-        right.x = pInstance.x + pInstance.icon.width * scaleX;
-        right.y = pInstance.y;
-        right.mapName = pInstance.mapName;
+    createViewport(pName: string, pCameraX?: number, pCameraY?: number): Viewport {
+        const existing = this.viewports.get(pName);
+        if (existing) {
+            this.logger.prefix('Parallax-Module').warn(`A viewport named "${pName}" already exists!`);
+            return existing;
+        }
 
-        // Store the clones in a temporary array
-        const children = [left, right];
-        const parallaxConfig = this.instanceWeakMap.get(pInstance);
-        if (parallaxConfig) {
-            // Store the children
-            parallaxConfig.horizontalChildren = children;
+        const viewport = new Viewport(pName);
+        if (typeof pCameraX === 'number' && typeof pCameraY === 'number') {
+            viewport.setLastCamPos(pCameraX, pCameraY);
         }
+        this.viewports.set(pName, viewport);
 
-        // Loop the clones and store their relative positions to the main instance
-        children.forEach((pChild) => {
-            pChild.relativeX = pChild.x - pInstance.x;
-            pChild.relativeY = pChild.y - pInstance.y;
-        });
+        for (const instance of this.instances) {
+            const parallaxConfig = this.instanceWeakMap.get(instance);
+            if (parallaxConfig) {
+                this.initViewportInstance(instance, parallaxConfig, viewport);
+            }
+        }
+        return viewport;
     }
-
+    
     /**
-     * Enables infinite looping for the vertical plane.
-     * @param pInstance - The instance to loop.
+     * Gets a viewport by name.
+     * @param pName - The name of the viewport.
+     * @returns The viewport, or undefined if no viewport has this name.
      */
-    toggleInfiniteVertical(pInstance: any): void {
-        const [top, bottom] = this.createLoopInstances(pInstance);
-        const { y: scaleY } = pInstance.scale;
-
-        // Position the left clone
-        top.x = pInstance.x;
-        top.y = pInstance.y - pInstance.icon.height * scaleY;
-        top.mapName = pInstance.mapName;
-
-        // Position the right clone
-        bottom.x = pInstance.x;
-        bottom.y = pInstance.y + pInstance.icon.height * scaleY;
-        bottom.mapName = pInstance.mapName;
-
-        // Store the clones in a temporary array
-        const children = [top, bottom];
-        const parallaxConfig = this.instanceWeakMap.get(pInstance);
-        if (parallaxConfig) {
-            // Store the children
-            parallaxConfig.verticalChildren = children;
-        }
-
-        // Loop the clones and store their relative positions to the main instance
-        children.forEach((pChild) => {
-            pChild.relativeX = pChild.x - pInstance.x;
-            pChild.relativeY = pChild.y - pInstance.y;
-        });
+    getViewport(pName: string): Viewport | undefined {
+        return this.viewports.get(pName);
     }
     
     /**
-     * Toggle infinite looping for both the horizontal and vertical planes.
-     * @param pInstance - The instance to loop.
+     * Gets all viewports, starting with the default viewport.
+     * @returns All viewports.
      */
-    toggleInfinitePlanes(pInstance: any): void {
-        this.toggleInfiniteHorizontal(pInstance);
-        this.toggleInfiniteVertical(pInstance);
+    getViewports(): Viewport[] {
+        return Array.from(this.viewports.values());
     }
     
     /**
-     * Adds an instance to the parallax system.
-     * Call this first and then add your instance to the map.
-     * @param pInstance - The instance to add to the parallax system.
-     * @param pConfig - The parallax info that tells this module how to control this instance.
+     * Removes a viewport and destroys the clones it created. The default viewport cannot be removed.
+     * @param pName - The name of the viewport to remove.
      */
-    add(pInstance: any, pConfig: ParallaxConfig): void {
-        if (!pInstance) {
-            this.logger.prefix('Parallax-Module').error('No pInstance passed!');
+    removeViewport(pName: string): void {
+        const viewport = this.viewports.get(pName);
+        if (!viewport) return;
+
+        if (viewport.isDefault()) {
+            this.logger.prefix('Parallax-Module').error('The default viewport cannot be removed!');
             return;
         }
 
-        if (pConfig instanceof Object) {
-            if (!this.instances.has(pInstance)) {
-                const { x, y, mapName } = pInstance;
-                // Clone the parallax object
-                const parallaxConfig = { ...pConfig };
-                // Set the parallax info to the instance
-                this.instanceWeakMap.set(pInstance, parallaxConfig);
-                this.instances.add(pInstance);
-                
-                if (typeof x === 'number' && typeof y === 'number' && typeof mapName === 'string') {
-                    pInstance.setPos(x, y, mapName);
-                }
-                this.init(pInstance, parallaxConfig);
-            }
-        } else {
-            this.logger.prefix('Parallax-Module').error('No pConfig passed or invalid type found!');
+        for (const instance of this.instances) {
+            const state = viewport.getInstanceState(instance);
+            if (!state) continue;
+            this.destroyClones(instance, viewport);
+            this.host.destroyClone(state.target);
+            viewport.instanceStates.delete(instance);
         }
+        this.viewports.delete(pName);
     }
     
     /**
-     * Initializes this instance.
-     * @param pInstance - The instance to initialize.
-     * @param pConfig - The parallax info that tells this module how to control this instance.
+     * Destroys the loop clones and tiles of the instance in a viewport.
+     * @param pInstance - The instance to destroy the clones of.
+     * @param pViewport - The viewport the clones are in.
      */
-    init(pInstance: any, pConfig: ParallaxConfig): void {
-        if (!VYLO) {
-            this.logger.prefix('Parallax-Module').error('VYLO not found! This module depends on the VYLO object being in the global name space.');
-            return;
-        }
-
-        const { x, y } = this.getCamPos();
-
-        if (!this.hasLastCamPos() && x !== null && y !== null) {
-            this.setLastCamPos(x, y);
-        }
+    destroyClones(pInstance: any, pViewport: Viewport = this.defaultViewport): void {
+        const state = pViewport.getInstanceState(pInstance);
+        if (!state) return;
 
-        const { ground, groundY, groundMapname, infiniteHorizontal, infiniteVertical } = pConfig;
+        pViewport.getClones(pInstance).forEach((pChild) => this.host.destroyClone(pChild));
+        state.horizontalChildren = undefined;
+        state.verticalChildren = undefined;
+        state.tiles = undefined;
+        state.tileKey = undefined;
 
-        if (ground && x !== null) {
-            const { x: scaleX } = pInstance.scale;
-            pInstance.x = x - pInstance.icon.width * scaleX / 2;
-            pInstance.y = groundY;
-            pInstance.mapName = groundMapname;
-        } else if (x !== null && y !== null) {
-            // Update the instance's initial position based on the anchor position
-            this.updateInstance(pInstance, x, y, { 
-                x: pConfig.cameraAnchorX ?? null, 
-                y: pConfig.cameraAnchorY ?? null 
-            });
-        }
-
-        if (infiniteHorizontal && infiniteVertical) {
-            this.toggleInfinitePlanes(pInstance);
-        } else if (infiniteHorizontal) {
-            this.toggleInfiniteHorizontal(pInstance);
-        } else if (infiniteVertical) {
-            this.toggleInfiniteVertical(pInstance);
+        if (pViewport.isDefault()) {
+            const parallaxConfig = this.instanceWeakMap.get(pInstance);
+            if (parallaxConfig) {
+                parallaxConfig.horizontalChildren = undefined;
+                parallaxConfig.verticalChildren = undefined;
+            }
+            delete pInstance._parallaxChildren;
+            delete pInstance.getParallaxChildren;
         }
     }
     
     /**
-     * Removes an instance to the parallax system.
-     * @param pInstance - The instance to remove to the parallax system.
+     * Sets whether instances use absolute positioning when their config does not say.
+     * @param pAbsolute - Whether to use absolute positioning.
      */
-    remove(pInstance: any): void {
-        if (!pInstance) {
+    setAbsolute(pAbsolute: boolean): void {
+        this.absolute = pAbsolute;
+    }
+    
+    /**
+     * Whether the instance uses absolute positioning.
+     * @param pInstance - The instance to check.
+     * @returns Whether the instance uses absolute positioning.
+     */
+    isAbsolute(pInstance: any): boolean {
+        return this.instanceWeakMap.get(pInstance)?.absolute ?? this.absolute;
+    }
+    
+    /**
+     * Whether the instance is a background that stays with the camera on each axis, which is what a speed of 0 means.
+     * Instances with a depth never are, as a depth of 0 is the plane the game is played on and stays where it is in the world.
+     * @param pInstance - The instance to check.
+     * @returns Whether the instance stays with the camera horizontally and vertically.
+     */
+    isBackground(pInstance: any): { x: boolean; y: boolean } {
+        const parallaxConfig = this.instanceWeakMap.get(pInstance);
+        if (!parallaxConfig || parallaxConfig.ground || typeof parallaxConfig.depth === 'number') {
+            return { x: false, y: false };
+        }
+        return {
+            x: parallaxConfig.horizontalSpeed === 0 && !parallaxConfig.holdX,
+            y: parallaxConfig.verticalSpeed === 0 && !parallaxConfig.holdY
+        };
+    }
+    
+    /**
+     * Makes a speed tween that slows the instance to a stop keep it where it is in the world, so it does not jump to the camera on the last frame.
+     * An instance that already stayed with the camera keeps doing so.
+     * @param pInstance - The instance the tween animates.
+     * @param pFrom - The speeds the tween starts from.
+     * @param pTo - The speeds the tween ends on.
+     */
+    holdOnStop(pInstance: any, pFrom: Required<SpeedTarget>, pTo: Required<SpeedTarget>): void {
+        const parallaxConfig = this.instanceWeakMap.get(pInstance);
+        if (!parallaxConfig) return;
+
+        if (pTo.horizontalSpeed !== 0) {
+            parallaxConfig.holdX = false;
+        } else if (pFrom.horizontalSpeed !== 0) {
+            parallaxConfig.holdX = true;
+        }
+        if (pTo.verticalSpeed !== 0) {
+            parallaxConfig.holdY = false;
+        } else if (pFrom.verticalSpeed !== 0) {
+            parallaxConfig.holdY = true;
+        }
+    }
+    
+    /**
+     * Pauses time based motion, such as auto-scroll. Layers keep following the camera.
+     */
+    pause(): void {
+        this.paused = true;
+    }
+    
+    /**
+     * Resumes time based motion, such as auto-scroll.
+     */
+    resume(): void {
+        this.paused = false;
+    }
+    
+    /**
+     * Whether time based motion, such as auto-scroll, is paused.
+     * @returns Whether time based motion is paused.
+     */
+    isPaused(): boolean {
+        return this.paused;
+    }
+    
+    /**
+     * Sets how fast the instance scrolls on its own, independent of the camera.
+     * @param pInstance - The instance to auto-scroll.
+     * @param pAutoScrollX - The horizontal auto-scroll speed in pixels per second.
+     * @param pAutoScrollY - The vertical auto-scroll speed in pixels per second.
+     */
+    setAutoScroll(pInstance: any, pAutoScrollX: number, pAutoScrollY: number): void {
+        const parallaxConfig = this.instanceWeakMap.get(pInstance);
+        if (!parallaxConfig) {
+            this.logger.prefix('Parallax-Module').error('This instance is not in the parallax system!');
+            return;
+        }
+
+        if (typeof pAutoScrollX !== 'number' || typeof pAutoScrollY !== 'number') {
+            this.logger.prefix('Parallax-Module').warn('Expected a number for "pAutoScrollX" and "pAutoScrollY", but received:', typeof pAutoScrollX, typeof pAutoScrollY);
+            return;
+        }
+
+        parallaxConfig.autoScrollX = pAutoScrollX;
+        parallaxConfig.autoScrollY = pAutoScrollY;
+    }
+    
+    /**
+     * Sets how the instance follows the position the camera gives it.
+     * @param pInstance - The instance to smooth.
+     * @param pSmoothing - The smoothing to use, or null to snap to the position again.
+     */
+    setSmoothing(pInstance: any, pSmoothing: SmoothingConfig | null): void {
+        const parallaxConfig = this.instanceWeakMap.get(pInstance);
+        if (!parallaxConfig) {
+            this.logger.prefix('Parallax-Module').error('This instance is not in the parallax system!');
+            return;
+        }
+
+        if (pSmoothing !== null && typeof pSmoothing !== 'object') {
+            this.logger.prefix('Parallax-Module').warn('Expected an object or null for "pSmoothing", but received:', typeof pSmoothing);
+            return;
+        }
+
+        if (pSmoothing) {
+            parallaxConfig.smoothing = { ...pSmoothing };
+        } else {
+            delete parallaxConfig.smoothing;
+        }
+    }
+    
+    /**
+     * Gets an easing function.
+     * @param pEasing - The easing function, or the name of one in `Easing`.
+     * @returns The easing function. Linear if the name is unknown.
+     */
+    getEasing(pEasing: EasingFunction | EasingName = 'linear'): EasingFunction {
+        if (typeof pEasing === 'function') return pEasing;
+        const easing = Easing[pEasing];
+        if (!easing) {
+            this.logger.prefix('Parallax-Module').warn(`Unknown easing "${pEasing}". Linear easing used.`);
+            return Easing.linear;
+        }
+        return easing;
+    }
+    
+    /**
+     * Starts a tween that is advanced by the frame delta passed to `Parallax.update` for the default viewport.
+     * Tweens do not advance while the parallax system is paused.
+     * @param pDuration - How long the tween runs in milliseconds.
+     * @param pEasing - The easing function, or the name of one in `Easing`.
+     * @param pOnUpdate - Called with the eased progress, from 0 to 1, every time the tween steps.
+     * @returns The tween.
+     */
+    tween(pDuration: number, pEasing: EasingFunction | EasingName, pOnUpdate: (pProgress: number) => void): Tween {
+        const tween = new Tween(pDuration, this.getEasing(pEasing), pOnUpdate);
+        if (tween.duration > 0) {
+            this.tweens.add(tween);
+        } else {
+            tween.step(0);
+        }
+        return tween;
+    }
+    
+    /**
+     * Animates the speeds of the instance to new speeds. A speed tween already running on the instance is stopped.
+     * Slowing a moving instance to a speed of 0 stops it where it is, rather than turning it into a background that stays with the camera.
+     * @param pInstance - The instance to animate the speeds of.
+     * @param pSpeed - The speeds to animate to.
+     * @param pDuration - How long the animation takes in milliseconds.
+     * @param pEasing - The easing function, or the name of one in `Easing`.
+     * @returns The tween, or null if the instance is not in the parallax system.
+     */
+    tweenSpeed(pInstance: any, pSpeed: SpeedTarget, pDuration: number, pEasing: EasingFunction | EasingName = 'linear'): Tween | null {
+        const parallaxConfig = this.instanceWeakMap.get(pInstance);
+        if (!parallaxConfig) {
+            this.logger.prefix('Parallax-Module').error('This instance is not in the parallax system!');
+            return null;
+        }
+
+        const { horizontalSpeed, verticalSpeed } = parallaxConfig;
+        const toHorizontal = pSpeed.horizontalSpeed ?? horizontalSpeed;
+        const toVertical = pSpeed.verticalSpeed ?? verticalSpeed;
+
+        parallaxConfig.speedTween?.stop();
+        this.holdOnStop(pInstance, { horizontalSpeed, verticalSpeed }, { horizontalSpeed: toHorizontal, verticalSpeed: toVertical });
+        parallaxConfig.speedTween = this.tween(pDuration, pEasing, (pProgress) => {
+            parallaxConfig.horizontalSpeed = horizontalSpeed + (toHorizontal - horizontalSpeed) * pProgress;
+            parallaxConfig.verticalSpeed = verticalSpeed + (toVertical - verticalSpeed) * pProgress;
+        });
+        return parallaxConfig.speedTween;
+    }
+    
+    /**
+     * Sets the size of the screen the default viewport is drawn to. Used to build tiling grids.
+     * @param pWidth - The width of the screen in pixels.
+     * @param pHeight - The height of the screen in pixels.
+     * @param pScale - The scale the viewport is drawn at.
+     */
+    setViewportSize(pWidth: number, pHeight: number, pScale = 1): void {
+        this.defaultViewport.setSize(pWidth, pHeight, pScale);
+    }
+    
+    /**
+     * Whether the last camera position is set.
+     * @returns Whether the last camera position is set.
+     */
+    hasLastCamPos(): boolean {
+        return this.defaultViewport.hasLastCamPos();
+    }
+    
+    /**
+     * Sets the last camera position.
+     * @param pX - The last x position of the camera.
+     * @param pY - The last y position of the camera.
+     */
+    setLastCamPos(pX: number, pY: number): void {
+        this.defaultViewport.setLastCamPos(pX, pY);
+    }
+    
+    /**
+     * Sets the anchor position for the default viewport.
+     * @param pCameraAnchor - The virtual position on the map where the layers look natural together.
+     */
+    setCameraAnchor(pCameraAnchor: CameraPosition): void {
+        this.defaultViewport.setCameraAnchor(pCameraAnchor);
+    }
+    
+    /**
+     * Sets the anchor x position for the default viewport.
+     * @param pXAnchor - The x position to set the anchor to.
+     */
+    setCameraAnchorX(pXAnchor: number | null): void {
+        this.defaultViewport.setCameraAnchorX(pXAnchor);
+    }
+    
+    /**
+     * Sets the anchor y position for the default viewport.
+     * @param pYAnchor - The y position to set the anchor to.
+     */
+    setCameraAnchorY(pYAnchor: number | null): void {
+        this.defaultViewport.setCameraAnchorY(pYAnchor);
+    }
+    
+    /**
+     * Gets the anchor position.
+     * @returns The anchor position.
+     */
+    getCameraAnchor(): CameraPosition {
+        return this.defaultViewport.getCameraAnchor();
+    }
+    
+    /**
+     * Gets the anchor x position.
+     * @returns The anchor x position.
+     */
+    getAnchorX(): number | null {
+        return this.defaultViewport.getAnchorX();
+    }
+    
+    /**
+     * Gets the anchor y position.
+     * @returns The anchor y position.
+     */
+    getAnchorY(): number | null {
+        return this.defaultViewport.getAnchorY();
+    }
+    
+    /**
+     * Resets the anchor position.
+     */
+    resetAnchor(): void {
+        this.defaultViewport.resetAnchor();
+    }
+    
+    /**
+     * Resets the anchor x position.
+     */
+    resetAnchorX(): void {
+        this.defaultViewport.resetAnchorX();
+    }
+    
+    /**
+     * Resets the anchor y position.
+     */
+    resetAnchorY(): void {
+        this.defaultViewport.resetAnchorY();
+    }
+    
+    /**
+     * Whether the anchor x position is set.
+     * @returns Whether the anchor x position is set.
+     */
+    isAnchorXSet(): boolean {
+        return this.defaultViewport.isAnchorXSet();
+    }
+    
+    /**
+     * Whether the anchor y position is set.
+     * @returns Whether the anchor y position is set.
+     */
+    isAnchorYSet(): boolean {
+        return this.defaultViewport.isAnchorYSet();
+    }
+    
+    /**
+     * Makes a new clone look like its source. Clones of a hidden instance are hidden too, so they are shown along with it.
+     * @param pInstance - The instance the clone belongs to.
+     * @param pClone - The clone to set up.
+     * @param pSource - The object to copy the appearance from.
+     */
+    copyCloneAppearance(pInstance: any, pClone: any, pSource: any): void {
+        this.host.copyAppearance(pClone, pSource);
+        if (this.instanceWeakMap.get(pInstance)?.hidden) {
+            this.host.setVisible?.(pClone, false);
+        }
+    }
+    
+    /**
+     * Creates two clones of the instance to loop infinitely.
+     * @param pInstance - The instance to base the clones off of.
+     * @param pViewport - The viewport the clones are shown in.
+     * @returns An array of the two clones.
+     */
+    createLoopInstances(pInstance: any, pViewport: Viewport = this.defaultViewport): any[] {
+        const target = pViewport.getTarget(pInstance) ?? pInstance;
+        // Create a left and right clone
+        const first = this.host.createClone(pInstance);
+        const second = this.host.createClone(pInstance);
+
+        const children = [first, second];
+
+        if (pViewport.isDefault()) {
+            pInstance._parallaxChildren = [first, second];
+            pInstance.getParallaxChildren = () => [...pInstance._parallaxChildren];
+        } else {
+            children.forEach((pChild) => {
+                pChild.parallaxViewport = pViewport.name;
+            });
+        }
+
+        // Make the left and right clone particle look the same as the initial instance
+        this.copyCloneAppearance(pInstance, first, target);
+        this.copyCloneAppearance(pInstance, second, target);
+
+        return children;
+    }
+    
+    /**
+     * Enables infinite looping for the horizontal plane.
+     * @param pInstance - The instance to loop.
+     * @param pViewport - The viewport to loop the instance in.
+     */
+    toggleInfiniteHorizontal(pInstance: any, pViewport: Viewport = this.defaultViewport): void {
+        const target = pViewport.getTarget(pInstance) ?? pInstance;
+        const [left, right] = this.createLoopInstances(pInstance, pViewport);
+        const { width } = this.getBaseSize(pInstance, pViewport);
+
+        // Position the left clone
+        left.x = target.x - width;
+        left.y = target.y;
+        left.mapName = target.mapName;
+
+        // Position the right clone
+        right.x = target.x + width;
+        right.y = target.y;
+        right.mapName = target.mapName;
+
+        // Store the clones in a temporary array
+        const children = [left, right];
+        const state = pViewport.getInstanceState(pInstance);
+        if (state) {
+            // Store the children
+            state.horizontalChildren = children;
+        }
+        const parallaxConfig = this.instanceWeakMap.get(pInstance);
+        if (parallaxConfig && pViewport.isDefault()) {
+            parallaxConfig.horizontalChildren = children;
+        }
+
+        // Loop the clones and store their relative positions to the main instance
+        children.forEach((pChild) => {
+            pChild.relativeX = pChild.x - target.x;
+            pChild.relativeY = pChild.y - target.y;
+        });
+    }
+
+    /**
+     * Enables infinite looping for the vertical plane.
+     * @param pInstance - The instance to loop.
+     * @param pViewport - The viewport to loop the instance in.
+     */
+    toggleInfiniteVertical(pInstance: any, pViewport: Viewport = this.defaultViewport): void {
+        const target = pViewport.getTarget(pInstance) ?? pInstance;
+        const [top, bottom] = this.createLoopInstances(pInstance, pViewport);
+        const { height } = this.getBaseSize(pInstance, pViewport);
+
+        // Position the left clone
+        top.x = target.x;
+        top.y = target.y - height;
+        top.mapName = target.mapName;
+
+        // Position the right clone
+        bottom.x = target.x;
+        bottom.y = target.y + height;
+        bottom.mapName = target.mapName;
+
+        // Store the clones in a temporary array
+        const children = [top, bottom];
+        const state = pViewport.getInstanceState(pInstance);
+        if (state) {
+            // Store the children
+            state.verticalChildren = children;
+        }
+        const parallaxConfig = this.instanceWeakMap.get(pInstance);
+        if (parallaxConfig && pViewport.isDefault()) {
+            parallaxConfig.verticalChildren = children;
+        }
+
+        // Loop the clones and store their relative positions to the main instance
+        children.forEach((pChild) => {
+            pChild.relativeX = pChild.x - target.x;
+            pChild.relativeY = pChild.y - target.y;
+        });
+    }
+    
+    /**
+     * Toggle infinite looping for both the horizontal and vertical planes.
+     * @param pInstance - The instance to loop.
+     * @param pViewport - The viewport to loop the instance in.
+     */
+    toggleInfinitePlanes(pInstance: any, pViewport: Viewport = this.defaultViewport): void {
+        this.toggleInfiniteHorizontal(pInstance, pViewport);
+        this.toggleInfiniteVertical(pInstance, pViewport);
+    }
+    
+    /**
+     * Builds the smallest grid of clones that always covers the viewport on the infinite axes, corners included.
+     * The target is one of the tiles, every clone is placed relative to it.
+     * Existing clones are reused, and the grid is only rebuilt when the viewport size or the instance's icon or scale changes.
+     * @param pInstance - The instance to tile.
+     * @param pViewport - The viewport to tile the instance in.
+     * @returns Whether the grid was rebuilt.
+     */
+    updateTiles(pInstance: any, pViewport: Viewport = this.defaultViewport): boolean {
+        const parallaxConfig = this.instanceWeakMap.get(pInstance);
+        const state = pViewport.getInstanceState(pInstance);
+        if (!parallaxConfig || !state) return false;
+
+        const { target } = state;
+        const zoomScale = state.zoomScale ?? 1;
+        const { width: iconWidth, height: iconHeight } = this.host.getIconSize(target);
+        const { x: scaleX, y: scaleY } = zoomScale !== 1 ? { x: state.baseScaleX ?? 1, y: state.baseScaleY ?? 1 } : this.host.getScale(target);
+        const width = iconWidth * scaleX;
+        const height = iconHeight * scaleY;
+        if (width <= 0 || height <= 0) return false;
+
+        // Without a known viewport size, cover a screen the size of the instance
+        const visible = this.getLayerVisibleSize(pInstance, pViewport) ?? { width, height };
+        // Any span of the screen can straddle one more tile than it fully fits
+        const columns = parallaxConfig.infiniteHorizontal ? Math.ceil(visible.width / width) + 1 : 1;
+        const rows = parallaxConfig.infiniteVertical ? Math.ceil(visible.height / height) + 1 : 1;
+
+        const tileKey = `${iconWidth}:${iconHeight}:${scaleX}:${scaleY}:${columns}:${rows}`;
+        if (state.tileKey === tileKey) return false;
+        state.tileKey = tileKey;
+
+        const tiles = state.tiles ?? [];
+        const needed = columns * rows - 1;
+        while (tiles.length > needed) {
+            this.host.destroyClone(tiles.pop());
+        }
+        while (tiles.length < needed) {
+            const tile = this.host.createClone(pInstance);
+            if (!pViewport.isDefault()) {
+                tile.parallaxViewport = pViewport.name;
+            }
+            tiles.push(tile);
+        }
+
+        // The target is the top left tile, the clones fill the rest of the grid
+        let index = 0;
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                if (row === 0 && column === 0) continue;
+                const tile = tiles[index++];
+                // Copies the zoom scale of the target as well
+                this.copyCloneAppearance(pInstance, tile, target);
+                tile.relativeX = column * width;
+                tile.relativeY = row * height;
+                tile.x = target.x + tile.relativeX;
+                tile.y = target.y + tile.relativeY;
+                tile.mapName = target.mapName;
+            }
+        }
+
+        state.tiles = tiles;
+        if (pViewport.isDefault()) {
+            pInstance._parallaxChildren = tiles;
+            pInstance.getParallaxChildren = () => [...pInstance._parallaxChildren];
+        }
+        return true;
+    }
+    
+    /**
+     * Forces the tiling grid of the instance to be rebuilt in every viewport.
+     * Call this after changing the instance's icon without changing its size.
+     * @param pInstance - The instance to rebuild the tiling grid of.
+     */
+    refreshTiles(pInstance: any): void {
+        for (const viewport of this.viewports.values()) {
+            const state = viewport.getInstanceState(pInstance);
+            if (state?.tiles) {
+                state.tileKey = undefined;
+                this.updateTiles(pInstance, viewport);
+            }
+        }
+    }
+    
+    /**
+     * Creates the layers and instances described by a scene and adds them to the parallax system.
+     * The scene is checked first, and nothing is created if it has errors.
+     * @param pScene - The scene, as an object or a JSON string.
+     * @param pResolver - Turns the instance ids in the scene into instances that are already on the map.
+     * @returns The layers that were created, or null if the scene could not be loaded.
+     */
+    loadScene(pScene: SceneDefinition | string, pResolver: SceneResolver): Layer[] | null {
+        let scene: any = pScene;
+        if (typeof pScene === 'string') {
+            try {
+                scene = JSON.parse(pScene);
+            } catch (error) {
+                this.logger.prefix('Parallax-Module').error('Invalid scene! The scene is not valid JSON:', (error as Error).message);
+                return null;
+            }
+        }
+
+        if (typeof pResolver !== 'function') {
+            this.logger.prefix('Parallax-Module').error('No pResolver passed or invalid type found!');
+            return null;
+        }
+
+        const errors = validateScene(scene);
+        if (errors.length) {
+            errors.forEach((pError) => {
+                this.logger.prefix('Parallax-Module').error('Invalid scene!', pError);
+            });
+            return null;
+        }
+
+        const resolve = (pId: string) => {
+            const instance = pResolver(pId);
+            if (!instance) {
+                this.logger.prefix('Parallax-Module').error(`Scene instance "${pId}" could not be resolved and was skipped.`);
+                return null;
+            }
+            // Remember the id so the instance can be exported again
+            instance.parallaxId = pId;
+            return instance;
+        };
+        const resolveAll = (pIds?: string[]) => (pIds ?? []).map(resolve).filter((pInstance) => pInstance);
+
+        const { anchor, layers, instances } = scene as SceneDefinition;
+        if (anchor) {
+            this.setCameraAnchor({ x: anchor.x ?? null, y: anchor.y ?? null });
+        }
+
+        const created = layers.map((pLayer) => {
+            const { instances: instanceIds, backgrounds: backgroundIds, ground: groundId, ...layerConfig } = pLayer;
+            const ground = groundId ? resolve(groundId) : null;
+            return new Layer({
+                ...layerConfig,
+                instances: resolveAll(instanceIds),
+                backgrounds: resolveAll(backgroundIds),
+                ...(ground && { ground })
+            });
+        });
+
+        (instances ?? []).forEach((pDefinition) => {
+            const { id, ...config } = pDefinition;
+            const instance = resolve(id);
+            if (instance) {
+                this.add(instance, config);
+            }
+        });
+
+        return created;
+    }
+    
+    /**
+     * Writes the layers and instances in the parallax system out as a scene.
+     * Instances are written as ids, taken from `parallaxId`, `id` or `name` unless pIdentify is passed.
+     * @param pIdentify - Gets the id to write for an instance.
+     * @returns The scene.
+     */
+    exportScene(pIdentify?: (pInstance: any) => string | undefined): SceneDefinition {
+        const identify = pIdentify ?? ((pInstance: any) => pInstance.parallaxId ?? pInstance.id ?? pInstance.name);
+        const getId = (pInstance: any): string | undefined => {
+            const id = identify(pInstance);
+            if (typeof id !== 'string' || !id) {
+                this.logger.prefix('Parallax-Module').warn('An instance without an id was left out of the exported scene.');
+                return undefined;
+            }
+            return id;
+        };
+        // Leaves out the keys that were never set, so the scene only holds what matters
+        const compact = <T extends object>(pObject: T): T => {
+            return Object.fromEntries(Object.entries(pObject).filter(([, pValue]) => pValue !== undefined)) as T;
+        };
+
+        const layered = new Set<any>();
+        const layers: SceneLayerDefinition[] = [];
+        for (const layer of this.layers) {
+            const { config } = layer;
+            const instances: string[] = [];
+            const backgrounds: string[] = [];
+            let ground: string | undefined;
+
+            config.instances.forEach((pInstance: any) => {
+                layered.add(pInstance);
+                // The ground is written on its own
+                if (pInstance === config.ground) return;
+                const id = getId(pInstance);
+                if (id) instances.push(id);
+            });
+            config.backgrounds.forEach((pInstance: any) => {
+                layered.add(pInstance);
+                const id = getId(pInstance);
+                if (id) backgrounds.push(id);
+            });
+            if (config.ground) {
+                layered.add(config.ground);
+                ground = getId(config.ground);
+            }
+
+            layers.push(compact({
+                name: config.name,
+                plane: config.plane,
+                depth: config.depth,
+                // Speeds come from the depth when it is set
+                horizontalSpeed: config.depth === undefined ? config.horizontalSpeed : undefined,
+                verticalSpeed: config.depth === undefined ? config.verticalSpeed : undefined,
+                infiniteHorizontal: config.infiniteHorizontal || undefined,
+                infiniteVertical: config.infiniteVertical || undefined,
+                tiling: config.tiling || undefined,
+                absolute: config.absolute,
+                autoScrollX: config.autoScrollX || undefined,
+                autoScrollY: config.autoScrollY || undefined,
+                smoothing: config.smoothing ? { ...config.smoothing } : undefined,
+                cameraAnchorX: config.cameraAnchorX,
+                cameraAnchorY: config.cameraAnchorY,
+                instances: instances.length ? instances : undefined,
+                backgrounds: backgrounds.length ? backgrounds : undefined,
+                ground,
+                groundY: ground ? config.groundY : undefined,
+                groundMapname: ground ? config.groundMapname : undefined
+            }));
+        }
+
+        const instances: SceneInstanceDefinition[] = [];
+        for (const instance of this.instances) {
+            if (layered.has(instance)) continue;
+            const parallaxConfig = this.instanceWeakMap.get(instance);
+            const id = getId(instance);
+            if (!parallaxConfig || !id) continue;
+            instances.push(compact({
+                id,
+                depth: parallaxConfig.depth,
+                horizontalSpeed: parallaxConfig.depth === undefined ? parallaxConfig.horizontalSpeed : undefined,
+                verticalSpeed: parallaxConfig.depth === undefined ? parallaxConfig.verticalSpeed : undefined,
+                infiniteHorizontal: parallaxConfig.infiniteHorizontal || undefined,
+                infiniteVertical: parallaxConfig.infiniteVertical || undefined,
+                tiling: parallaxConfig.tiling || undefined,
+                absolute: parallaxConfig.absolute,
+                autoScrollX: parallaxConfig.autoScrollX || undefined,
+                autoScrollY: parallaxConfig.autoScrollY || undefined,
+                smoothing: parallaxConfig.smoothing ? { ...parallaxConfig.smoothing } : undefined,
+                cameraAnchorX: parallaxConfig.cameraAnchorX,
+                cameraAnchorY: parallaxConfig.cameraAnchorY,
+                ground: parallaxConfig.ground || undefined,
+                groundY: parallaxConfig.ground ? parallaxConfig.groundY : undefined,
+                groundMapname: parallaxConfig.ground ? parallaxConfig.groundMapname : undefined
+            }));
+        }
+
+        const anchor = this.getCameraAnchor();
+        return compact({
+            version: SCENE_VERSION,
+            anchor: this.isAnchorXSet() || this.isAnchorYSet() ? anchor : undefined,
+            layers,
+            instances: instances.length ? instances : undefined
+        });
+    }
+    
+    /**
+     * Adds an instance to the parallax system.
+     * Call this first and then add your instance to the map.
+     * The instance is not added unless pConfig has both speeds or a depth the perspective model accepts.
+     * @param pInstance - The instance to add to the parallax system.
+     * @param pConfig - The parallax info that tells this module how to control this instance.
+     * @param pLayer - The layer the instance is added through, if any.
+     */
+    add(pInstance: any, pConfig: ParallaxConfig, pLayer?: Layer): void {
+        if (!pInstance) {
+            this.logger.prefix('Parallax-Module').error('No pInstance passed!');
+            return;
+        }
+
+        if (pConfig instanceof Object) {
+            if (!this.instances.has(pInstance)) {
+                const hasDepth = typeof pConfig.depth === 'number' && this.isValidDepth(pConfig.depth);
+                const hasSpeeds = typeof pConfig.horizontalSpeed === 'number' && typeof pConfig.verticalSpeed === 'number';
+                if (!hasDepth && !hasSpeeds) {
+                    const reason = pConfig.depth === undefined ? 'no depth was passed' : `a depth of ${pConfig.depth} is at or behind the camera of the perspective model`;
+                    this.logger.prefix('Parallax-Module').error(`Expected a "horizontalSpeed" and a "verticalSpeed" in pConfig, as ${reason}! The instance was not added.`);
+                    return;
+                }
+
+                const { x, y, mapName } = pInstance;
+                // Clone the parallax object
+                const parallaxConfig: ParallaxInstanceInfo = { 
+                    ...pConfig, 
+                    // Without speeds the depth is valid, and sets them below
+                    horizontalSpeed: pConfig.horizontalSpeed ?? 0, 
+                    verticalSpeed: pConfig.verticalSpeed ?? 0,
+                    ...(pLayer && { layer: pLayer })
+                };
+                // Set the parallax info to the instance
+                this.instanceWeakMap.set(pInstance, parallaxConfig);
+                // Only kept once the perspective model accepts it
+                delete parallaxConfig.depth;
+                if (typeof pConfig.depth === 'number') {
+                    this.setDepth(pInstance, pConfig.depth);
+                }
+                this.instances.add(pInstance);
+                
+                if (typeof x === 'number' && typeof y === 'number' && typeof mapName === 'string') {
+                    // Remember where the instance was placed so other viewports can start from the same spot
+                    parallaxConfig.originX = x;
+                    parallaxConfig.originY = y;
+                    parallaxConfig.originMapName = mapName;
+                    this.host.setPosition(pInstance, x, y, mapName);
+                }
+                this.init(pInstance, parallaxConfig);
+                this.dispatch(pInstance, 'AddEvent', { layer: pLayer });
+            }
+        } else {
+            this.logger.prefix('Parallax-Module').error('No pConfig passed or invalid type found!');
+        }
+    }
+    
+    /**
+     * Initializes this instance in every viewport.
+     * @param pInstance - The instance to initialize.
+     * @param pConfig - The parallax info that tells this module how to control this instance.
+     */
+    init(pInstance: any, pConfig: ParallaxInstanceInfo): void {
+        if (!this.host.isReady()) {
+            this.logger.prefix('Parallax-Module').error(`The "${this.host.name}" host adapter is not ready! Use Parallax.setHost to provide a host this module can use.`);
+            return;
+        }
+
+        for (const viewport of this.viewports.values()) {
+            this.initViewportInstance(pInstance, pConfig, viewport);
+        }
+    }
+    
+    /**
+     * Initializes this instance in a viewport.
+     * The default viewport controls the instance itself, every other viewport controls a clone of it.
+     * @param pInstance - The instance to initialize.
+     * @param pConfig - The parallax info that tells this module how to control this instance.
+     * @param pViewport - The viewport to initialize the instance in.
+     */
+    initViewportInstance(pInstance: any, pConfig: ParallaxInstanceInfo, pViewport: Viewport): void {
+        let target = pInstance;
+        if (!pViewport.isDefault()) {
+            target = this.host.createClone(pInstance);
+            target.parallaxViewport = pViewport.name;
+            this.copyCloneAppearance(pInstance, target, pInstance);
+            const { originX, originY, originMapName } = pConfig;
+            if (typeof originX === 'number' && typeof originY === 'number' && typeof originMapName === 'string') {
+                this.host.setPosition(target, originX, originY, originMapName);
+            }
+        }
+        pViewport.instanceStates.set(pInstance, { target });
+
+        // Only the default viewport follows the host's camera, the others start where they were told to
+        const { x, y } = pViewport.isDefault() || !pViewport.hasLastCamPos() ? this.getCamPos() : { ...pViewport.lastCamPos };
+
+        if (!pViewport.hasLastCamPos() && x !== null && y !== null) {
+            pViewport.setLastCamPos(x, y);
+        }
+
+        // The camera position the instance looks natural at when it sits at its origin
+        const state = pViewport.getInstanceState(pInstance)!;
+        state.originX = target.x;
+        state.originY = target.y;
+        state.referenceX = pViewport.getAnchorX() || pConfig.cameraAnchorX || (pViewport.lastCamPos.x ?? 0);
+        state.referenceY = pViewport.getAnchorY() || pConfig.cameraAnchorY || (pViewport.lastCamPos.y ?? 0);
+        state.offsetX = 0;
+        state.offsetY = 0;
+
+        const { ground, groundY, groundMapname, infiniteHorizontal, infiniteVertical, tiling } = pConfig;
+
+        if (ground && x !== null) {
+            const { width } = this.getBaseSize(pInstance, pViewport);
+            target.x = x - width / 2;
+            target.y = groundY;
+            target.mapName = groundMapname;
+        } else if (x !== null && y !== null) {
+            // Update the instance's initial position based on the anchor position
+            this.updateInstance(pInstance, x, y, { 
+                x: pConfig.cameraAnchorX ?? null, 
+                y: pConfig.cameraAnchorY ?? null 
+            }, pViewport);
+        }
+
+        if (tiling && (infiniteHorizontal || infiniteVertical)) {
+            this.updateTiles(pInstance, pViewport);
+        } else if (infiniteHorizontal && infiniteVertical) {
+            this.toggleInfinitePlanes(pInstance, pViewport);
+        } else if (infiniteHorizontal) {
+            this.toggleInfiniteHorizontal(pInstance, pViewport);
+        } else if (infiniteVertical) {
+            this.toggleInfiniteVertical(pInstance, pViewport);
+        }
+    }
+    
+    /**
+     * Removes an instance to the parallax system.
+     * @param pInstance - The instance to remove to the parallax system.
+     */
+    remove(pInstance: any): void {
+        if (!pInstance) {
             this.logger.prefix('Parallax-Module').error('No pInstance passed!');
             return;
         }
 
         if (this.instances.has(pInstance)) {
+            const parallaxConfig = this.instanceWeakMap.get(pInstance);
+            const layer = parallaxConfig?.layer;
+            // Let the layer forget the instance as well
+            layer?.detach(pInstance);
+            parallaxConfig?.speedTween?.stop();
+
+            for (const viewport of this.viewports.values()) {
+                const state = viewport.getInstanceState(pInstance);
+                if (!state) continue;
+                this.destroyClones(pInstance, viewport);
+                if (viewport.isDefault()) {
+                    // Give the instance back with its own scale and unzoomed position
+                    this.unzoomInstance(pInstance, viewport);
+                    this.setZoomScale(pInstance, 1, viewport);
+                    if (parallaxConfig?.hidden) {
+                        this.host.setVisible?.(pInstance, true);
+                    }
+                } else {
+                    this.host.destroyClone(state.target);
+                }
+                viewport.instanceStates.delete(pInstance);
+            }
+
             this.instances.delete(pInstance);
             this.instanceWeakMap.delete(pInstance);
+            this.dispatch(pInstance, 'RemoveEvent', { layer }, layer);
+        }
+    }
+    
+    /**
+     * Emits an event to the instance's listeners, its layer's listeners and the global listeners.
+     * @param pInstance - The instance the event is about.
+     * @param pEventName - The name of the event.
+     * @param pData - The data to pass to the event listeners.
+     * @param pLayer - The layer whose listeners are invoked. Defaults to the instance's layer.
+     */
+    dispatch(pInstance: any, pEventName: ParallaxEventName, pData?: any, pLayer: Layer | undefined = this.getLayer(pInstance)): void {
+        this.events.emit(pInstance, pEventName, pData);
+        if (pLayer) {
+            this.events.emit(pInstance, pEventName, pData, pLayer);
+        }
+        this.events.emit(pInstance, pEventName, pData, this.events.global);
+    }
+    
+    /**
+     * Removes every instance and layer from the parallax system and destroys their clones.
+     * Viewports are kept, but their last camera positions and anchors are reset so the next level starts fresh.
+     */
+    clear(): void {
+        for (const layer of Array.from(this.layers)) {
+            layer.destroy();
+        }
+        for (const instance of Array.from(this.instances)) {
+            this.remove(instance);
+        }
+        this.tweens.forEach((pTween) => pTween.stop());
+        this.tweens.clear();
+        for (const viewport of this.viewports.values()) {
+            viewport.lastCamPos = { x: null, y: null };
+            viewport.resetAnchor();
+        }
+    }
+    
+    /**
+     * Gets the layer the instance belongs to.
+     * @param pInstance - The instance to get the layer of.
+     * @returns The layer the instance belongs to, or undefined if it is not in a layer.
+     */
+    getLayer(pInstance: any): Layer | undefined {
+        return this.instanceWeakMap.get(pInstance)?.layer;
+    }
+    
+    /**
+     * Stops the instance from being updated. It stays where it is, even through teleports and snaps, until it is enabled again.
+     * @param pInstance - The instance to disable.
+     */
+    disable(pInstance: any): void {
+        const parallaxConfig = this.instanceWeakMap.get(pInstance);
+        if (!parallaxConfig) {
+            this.logger.prefix('Parallax-Module').error('This instance is not in the parallax system!');
+            return;
+        }
+        parallaxConfig.disabled = true;
+    }
+    
+    /**
+     * Lets the instance be updated again. It continues from where it was left, without a jump.
+     * @param pInstance - The instance to enable.
+     */
+    enable(pInstance: any): void {
+        const parallaxConfig = this.instanceWeakMap.get(pInstance);
+        if (!parallaxConfig) {
+            this.logger.prefix('Parallax-Module').error('This instance is not in the parallax system!');
+            return;
+        }
+        if (!parallaxConfig.disabled) return;
+        parallaxConfig.disabled = false;
+
+        for (const viewport of this.viewports.values()) {
+            const state = viewport.getInstanceState(pInstance);
+            if (!state) continue;
+            // The camera moved on while the instance was disabled, continue absolute positioning from where it is
+            this.unzoomInstance(pInstance, viewport);
+            const anchored = this.getAnchoredPosition(pInstance, viewport.lastCamPos.x ?? 0, viewport.lastCamPos.y ?? 0, viewport);
+            state.offsetX = (state.goalX ?? state.target.x) - anchored.x;
+            state.offsetY = (state.goalY ?? state.target.y) - anchored.y;
+        }
+    }
+    
+    /**
+     * Whether the instance is updated by the parallax system.
+     * @param pInstance - The instance to check.
+     * @returns Whether the instance is updated.
+     */
+    isEnabled(pInstance: any): boolean {
+        const parallaxConfig = this.instanceWeakMap.get(pInstance);
+        return !!parallaxConfig && !parallaxConfig.disabled;
+    }
+    
+    /**
+     * Shows the instance and its clones in every viewport.
+     * @param pInstance - The instance to show.
+     */
+    show(pInstance: any): void {
+        this.setVisible(pInstance, true);
+    }
+    
+    /**
+     * Hides the instance and its clones in every viewport. The instance keeps being updated.
+     * @param pInstance - The instance to hide.
+     */
+    hide(pInstance: any): void {
+        this.setVisible(pInstance, false);
+    }
+    
+    /**
+     * Shows or hides the instance and its clones in every viewport.
+     * @param pInstance - The instance to show or hide.
+     * @param pVisible - Whether the instance is shown.
+     */
+    setVisible(pInstance: any, pVisible: boolean): void {
+        const parallaxConfig = this.instanceWeakMap.get(pInstance);
+        if (!parallaxConfig) {
+            this.logger.prefix('Parallax-Module').error('This instance is not in the parallax system!');
+            return;
+        }
+
+        const { host } = this;
+        if (!host.setVisible) {
+            this.logger.prefix('Parallax-Module').error(`The "${host.name}" host adapter cannot show or hide instances! Add setVisible to it.`);
+            return;
+        }
+        parallaxConfig.hidden = !pVisible;
+
+        for (const viewport of this.viewports.values()) {
+            const target = viewport.getTarget(pInstance);
+            if (!target) continue;
+            [target, ...viewport.getClones(pInstance)].forEach((pObject) => {
+                host.setVisible!(pObject, pVisible);
+            });
+        }
+    }
+    
+    /**
+     * Whether the instance is shown.
+     * @param pInstance - The instance to check.
+     * @returns Whether the instance is shown.
+     */
+    isVisible(pInstance: any): boolean {
+        const parallaxConfig = this.instanceWeakMap.get(pInstance);
+        return !!parallaxConfig && !parallaxConfig.hidden;
+    }
+    
+    /**
+     * Sets the plane of the instance and its clones in every viewport.
+     * @param pInstance - The instance to set the plane of.
+     * @param pPlane - The plane to draw the instance on.
+     */
+    setPlane(pInstance: any, pPlane: number): void {
+        pInstance.plane = pPlane;
+        for (const viewport of this.viewports.values()) {
+            const target = viewport.getTarget(pInstance);
+            if (!target) continue;
+            [target, ...viewport.getClones(pInstance)].forEach((pObject) => {
+                pObject.plane = pPlane;
+            });
+        }
+    }
+    
+    /**
+     * Changes which axes the instance loops on, rebuilding its clones in every viewport.
+     * @param pInstance - The instance to change.
+     * @param pInfiniteHorizontal - Whether the instance loops horizontally.
+     * @param pInfiniteVertical - Whether the instance loops vertically.
+     * @param pTiling - Whether a tiling grid covers the viewport instead of two clones per axis.
+     */
+    setInfinite(pInstance: any, pInfiniteHorizontal: boolean, pInfiniteVertical: boolean, pTiling = false): void {
+        const parallaxConfig = this.instanceWeakMap.get(pInstance);
+        if (!parallaxConfig) {
+            this.logger.prefix('Parallax-Module').error('This instance is not in the parallax system!');
+            return;
+        }
+
+        parallaxConfig.infiniteHorizontal = pInfiniteHorizontal;
+        parallaxConfig.infiniteVertical = pInfiniteVertical;
+        parallaxConfig.tiling = pTiling;
+
+        for (const viewport of this.viewports.values()) {
+            if (!viewport.getInstanceState(pInstance)) continue;
+            this.destroyClones(pInstance, viewport);
+
+            if (pTiling && (pInfiniteHorizontal || pInfiniteVertical)) {
+                this.updateTiles(pInstance, viewport);
+            } else if (pInfiniteHorizontal && pInfiniteVertical) {
+                this.toggleInfinitePlanes(pInstance, viewport);
+            } else if (pInfiniteHorizontal) {
+                this.toggleInfiniteHorizontal(pInstance, viewport);
+            } else if (pInfiniteVertical) {
+                this.toggleInfiniteVertical(pInstance, viewport);
+            }
+            this.handleOnRelocated(pInstance, viewport);
         }
     }
     
@@ -427,14 +1604,53 @@ class ParallaxSingleton {
      * Updates the parallax system.
      * @param pCameraX - The x position of the camera.
      * @param pCameraY - The y position of the camera.
+     * @param pDeltaTime - The time since the last update in milliseconds. Drives time based motion, such as auto-scroll.
+     * @param pViewport - The viewport to update. Defaults to the default viewport.
+     * @param pZoom - The zoom of the viewport's camera. When left out, the zoom set with `setZoom` is kept, or the default viewport reads it from the host if none was set.
      */
-    update(pCameraX = 0, pCameraY = 0): void {
+    update(pCameraX = 0, pCameraY = 0, pDeltaTime = 0, pViewport: Viewport = this.defaultViewport, pZoom?: number): void {
+        if (pZoom !== undefined) {
+            pViewport.setZoom(pZoom);
+        } else if (pViewport.isDefault() && !pViewport.zoomSet && this.host.getZoom) {
+            // Follow the host's zoom until a zoom is set by hand
+            const zoom = this.host.getZoom();
+            if (typeof zoom === 'number' && zoom > 0) {
+                pViewport.zoom = zoom;
+            }
+        }
+
+        if (pViewport.isDefault() && !this.paused && pDeltaTime > 0) {
+            this.updateTweens(pDeltaTime);
+        }
+
         for (const instance of this.instances) {
-            this.updateInstance(instance, pCameraX, pCameraY);
+            this.updateInstance(instance, pCameraX, pCameraY, undefined, pViewport, pDeltaTime);
         }
 
-        this.lastCamPos.x = pCameraX;
-        this.lastCamPos.y = pCameraY;
+        const data: UpdateEventData = {
+            viewport: pViewport.name,
+            cameraX: pCameraX,
+            cameraY: pCameraY,
+            deltaX: pCameraX - (pViewport.lastCamPos.x ?? pCameraX),
+            deltaY: pCameraY - (pViewport.lastCamPos.y ?? pCameraY),
+            deltaTime: pDeltaTime
+        };
+        pViewport.setLastCamPos(pCameraX, pCameraY);
+        // Emitted on the viewport and globally, as it is not about one instance
+        this.events.emit(pViewport, 'UpdateEvent', data);
+        this.events.emit(pViewport, 'UpdateEvent', data, this.events.global);
+    }
+    
+    /**
+     * Advances the running tweens and forgets the ones that finished.
+     * @param pDeltaTime - The time since the last update in milliseconds.
+     */
+    updateTweens(pDeltaTime: number): void {
+        for (const tween of Array.from(this.tweens)) {
+            if (tween.finished || tween.step(pDeltaTime)) {
+                this.tweens.delete(tween);
+            }
+        }
     }
     
     /**
@@ -443,25 +1659,55 @@ class ParallaxSingleton {
      * @param pCameraX - The x position of the camera.
      * @param pCameraY - The y position of the camera.
      * @param pAnchor - The camera anchor position to use.
+     * @param pViewport - The viewport to update the instance in.
+     * @param pDeltaTime - The time since the last update in milliseconds.
      */
-    updateInstance(pInstance: any, pCameraX: number, pCameraY: number, pAnchor?: CameraPosition): void {
+    updateInstance(pInstance: any, pCameraX: number, pCameraY: number, pAnchor?: CameraPosition, pViewport: Viewport = this.defaultViewport, pDeltaTime = 0): void {
         const parallaxConfig = this.instanceWeakMap.get(pInstance);
-        if (!parallaxConfig) return;
+        if (!parallaxConfig || parallaxConfig.disabled) return;
+
+        const state = pViewport.getInstanceState(pInstance);
+        if (!state) return;
+        const { target } = state;
         
-        const { infiniteHorizontal, infiniteVertical, ground, horizontalSpeed, verticalSpeed } = parallaxConfig;
+        const { infiniteHorizontal, infiniteVertical, tiling, ground, horizontalSpeed, verticalSpeed, autoScrollX, autoScrollY, depth, smoothing } = parallaxConfig;
+
+        // Work where the instance would be without zoom, zoom is applied once it is placed
+        this.unzoomInstance(pInstance, pViewport);
+
+        // With smoothing the target trails behind its goal, so work from the goal
+        let smoothedX: number | undefined;
+        let smoothedY: number | undefined;
+        if (smoothing && state.goalX !== undefined && state.goalY !== undefined) {
+            smoothedX = target.x;
+            smoothedY = target.y;
+            target.x = state.goalX;
+            target.y = state.goalY;
+        } else if (!smoothing) {
+            state.goalX = undefined;
+            state.goalY = undefined;
+        }
+        this.setZoomScale(pInstance, typeof depth === 'number' ? this.perspective.getZoomScale(depth, pViewport.getZoom()) : 1, pViewport);
 
         // Move the instance with the camera if the parallax is set to 0
-        const isBackgroundX = !ground && horizontalSpeed === 0;
-        const isBackgroundY = !ground && verticalSpeed === 0;
+        const { x: isBackgroundX, y: isBackgroundY } = this.isBackground(pInstance);
+
+        let lastCamPosX = pViewport.lastCamPos.x ?? 0;
+        let lastCamPosY = pViewport.lastCamPos.y ?? 0;
+        const { width, height } = this.getBaseSize(pInstance, pViewport);
 
-        let lastCamPosX = this.lastCamPos.x ?? 0;
-        let lastCamPosY = this.lastCamPos.y ?? 0;
-        const { x: scaleX, y: scaleY } = pInstance.scale;
+        // How far auto-scroll moves the instance this update
+        const seconds = this.paused ? 0 : pDeltaTime / 1000;
+        const scrollX = (autoScrollX ?? 0) * seconds;
+        const scrollY = (autoScrollY ?? 0) * seconds;
+        // How many tiles a background's auto-scroll jumped back this update
+        let scrollWrappedX = 0;
+        let scrollWrappedY = 0;
 
         if (!ground) {
             if (pAnchor) {
-                const x = this.getAnchorX() || pAnchor.x;
-                const y = this.getAnchorY() || pAnchor.y;
+                const x = pViewport.getAnchorX() || pAnchor.x;
+                const y = pViewport.getAnchorY() || pAnchor.y;
     
                 if (typeof x === 'number') {
                     lastCamPosX = x;
@@ -472,99 +1718,504 @@ class ParallaxSingleton {
                 }
             }
             
+            const absolute = this.isAbsolute(pInstance);
+            if (absolute) {
+                this.rebaseOnSpeedChange(pInstance, pViewport);
+            }
+
             // Position to set the instance to.
             let x: number;
             let y: number;
+            const anchored = this.getAnchoredPosition(pInstance, pCameraX, pCameraY, pViewport);
             if (isBackgroundX) {
-                x = pCameraX - pInstance.icon.width * scaleX / 2;
+                // Backgrounds stay with the camera, so their auto-scroll wraps on its own
+                const wrapped = this.wrapScroll((state.scrolledX ?? 0) + scrollX, infiniteHorizontal ? width : 0);
+                state.scrolledX = wrapped.scrolled;
+                scrollWrappedX = wrapped.tiles;
+                x = pCameraX - width / 2 + state.scrolledX;
+                if (tiling && infiniteHorizontal && width > 0) {
+                    // A tiling grid starts at the left edge of the screen. The camera puts it there, so it is not a wrap.
+                    const left = pCameraX - (this.getLayerVisibleSize(pInstance, pViewport)?.width ?? width) / 2;
+                    x += Math.floor((left - x) / width) * width;
+                }
+            } else if (absolute) {
+                state.offsetX = (state.offsetX ?? 0) + scrollX;
+                x = anchored.x + state.offsetX;
             } else {
                 let deltaX = pCameraX - lastCamPosX;
                 let distX = deltaX * horizontalSpeed;
-                x = pInstance.x + distX;
+                x = target.x + distX + scrollX;
             }
     
             if (isBackgroundY) {
-                y = pCameraY - pInstance.icon.height * scaleY / 2;
+                const wrapped = this.wrapScroll((state.scrolledY ?? 0) + scrollY, infiniteVertical ? height : 0);
+                state.scrolledY = wrapped.scrolled;
+                scrollWrappedY = wrapped.tiles;
+                y = pCameraY - height / 2 + state.scrolledY;
+                if (tiling && infiniteVertical && height > 0) {
+                    const top = pCameraY - (this.getLayerVisibleSize(pInstance, pViewport)?.height ?? height) / 2;
+                    y += Math.floor((top - y) / height) * height;
+                }
+            } else if (absolute) {
+                state.offsetY = (state.offsetY ?? 0) + scrollY;
+                y = anchored.y + state.offsetY;
             } else {
                 let deltaY = pCameraY - lastCamPosY;
                 let distY = deltaY * verticalSpeed;
-                y = pInstance.y + distY;
+                y = target.y + distY + scrollY;
             }
 
             // Set the position
-            pInstance.x = x;
-            pInstance.y = y;
-        }
-
-        // Logic cannot be ran on static background instances as they should not loop
-        if (!isBackgroundX && !isBackgroundY) {
-            if (infiniteHorizontal) {
-                if (lastCamPosX !== pCameraX) {
-                    // The start pos + total width
-                    const rightEnd = pInstance.x + pInstance.icon.width * scaleX;
-                    // The start pos - total width / 6
-                    const leftEnd = Math.floor(pInstance.x - pInstance.icon.width * scaleX / 6);
-
-                    if (pCameraX > rightEnd) {
-                        pInstance.x += pInstance.icon.width * scaleX;
-                    } else if (pCameraX < leftEnd) {
-                        pInstance.x -= pInstance.icon.width * scaleX;
-                    }
-                }
+            target.x = x;
+            target.y = y;
+        }
+
+        const infinite = infiniteHorizontal || infiniteVertical;
+        const unwrappedX = target.x;
+        const unwrappedY = target.y;
+
+        let tilesRebuilt = false;
+
+        // Logic cannot be ran on the axes of static background instances as they should not loop, unless a tiling grid covers the screen
+        if (tiling && infinite) {
+            tilesRebuilt = this.updateTiles(pInstance, pViewport);
+            // A background axis is already placed over the screen
+            this.wrapTiles(pInstance, isBackgroundX ? null : pCameraX, isBackgroundY ? null : pCameraY, pViewport);
+        } else if (!isBackgroundX || !isBackgroundY) {
+            // Each axis wraps on its own, a background axis stays with the camera and never needs to
+            const wrapX = !isBackgroundX && (lastCamPosX !== pCameraX || scrollX !== 0);
+            const wrapY = !isBackgroundY && (lastCamPosY !== pCameraY || scrollY !== 0);
+            this.wrapInstance(pInstance, wrapX ? pCameraX : null, wrapY ? pCameraY : null, pViewport);
+        }
+
+        // Remember the wrapping so absolute positioning keeps it. Whole tiles only, so no error builds up.
+        const wrappedX = !isBackgroundX && width > 0 ? Math.round((target.x - unwrappedX) / width) : 0;
+        const wrappedY = !isBackgroundY && height > 0 ? Math.round((target.y - unwrappedY) / height) : 0;
+        state.offsetX = (state.offsetX ?? 0) + wrappedX * width;
+        state.offsetY = (state.offsetY ?? 0) + wrappedY * height;
+
+        if (smoothing) {
+            // Wrapping moves the trailing position by the same whole tiles, so it does not sweep across the screen
+            this.smoothInstance(pInstance, smoothedX === undefined ? target.x : smoothedX + target.x - unwrappedX, smoothedY === undefined ? target.y : smoothedY + target.y - unwrappedY, pDeltaTime, pViewport);
+        }
+
+        this.zoomInstance(pInstance, pCameraX, pCameraY, pViewport);
+
+        // If this has children, we need to update the children when it moves.
+        const moved = state.oldX !== target.x || state.oldY !== target.y;
+        if (infinite && (moved || tilesRebuilt)) {
+            this.handleOnRelocated(pInstance, pViewport);
+        }
+        if (moved) {
+            const oldX = state.oldX ?? target.x;
+            const oldY = state.oldY ?? target.y;
+            const data: MoveEventData = { viewport: pViewport.name, oldX, oldY, x: target.x, y: target.y, deltaX: target.x - oldX, deltaY: target.y - oldY };
+            this.dispatch(pInstance, 'MoveEvent', data);
+        }
+        // Wrapping and the auto-scroll of backgrounds both jump by whole tiles
+        const tilesX = wrappedX + scrollWrappedX;
+        const tilesY = wrappedY + scrollWrappedY;
+        if (tilesX !== 0) {
+            const data: WrapEventData = { viewport: pViewport.name, direction: tilesX > 0 ? 'right' : 'left', tiles: Math.abs(tilesX), distance: Math.abs(tilesX) * width };
+            this.dispatch(pInstance, 'WrapEvent', data);
+        }
+        if (tilesY !== 0) {
+            const data: WrapEventData = { viewport: pViewport.name, direction: tilesY > 0 ? 'down' : 'up', tiles: Math.abs(tilesY), distance: Math.abs(tilesY) * height };
+            this.dispatch(pInstance, 'WrapEvent', data);
+        }
+
+        state.oldX = target.x; 
+        state.oldY = target.y;
+    }
+    
+    /**
+     * Wraps an infinite instance by whole widths or heights until the camera is back over it.
+     * @param pInstance - The instance to wrap.
+     * @param pCameraX - The x position of the camera, or null to not wrap horizontally.
+     * @param pCameraY - The y position of the camera, or null to not wrap vertically.
+     * @param pViewport - The viewport the instance is in.
+     */
+    wrapInstance(pInstance: any, pCameraX: number | null, pCameraY: number | null, pViewport: Viewport = this.defaultViewport): void {
+        const parallaxConfig = this.instanceWeakMap.get(pInstance);
+        const target = pViewport.getTarget(pInstance);
+        if (!parallaxConfig || !target) return;
+
+        const { width, height } = this.getBaseSize(pInstance, pViewport);
+
+        if (parallaxConfig.infiniteHorizontal && pCameraX !== null && width > 0) {
+            // The start pos + total width
+            while (pCameraX > target.x + width) {
+                target.x += width;
             }
+            // The start pos - total width / 6
+            while (pCameraX < Math.floor(target.x - width / 6)) {
+                target.x -= width;
+            }
+        }
 
-            if (infiniteVertical) {
-                if (lastCamPosY !== pCameraY) {
-                    // The start pos + total height
-                    const bottomEnd = pInstance.y + pInstance.icon.height * scaleY;
-                    // The start pos - total height / 6
-                    const topEnd = Math.floor(pInstance.y - pInstance.icon.height * scaleY / 6);
-
-                    if (pCameraY > bottomEnd) {
-                        pInstance.y += pInstance.icon.height * scaleY;
-                    } else if (pCameraY < topEnd) {
-                        pInstance.y -= pInstance.icon.height * scaleY;
-                    }
+        if (parallaxConfig.infiniteVertical && pCameraY !== null && height > 0) {
+            // The start pos + total height
+            while (pCameraY > target.y + height) {
+                target.y += height;
+            }
+            // The start pos - total height / 6
+            while (pCameraY < Math.floor(target.y - height / 6)) {
+                target.y -= height;
+            }
+        }
+    }
+    
+    /**
+     * Keeps an auto-scroll distance within half a tile of zero, so a looping background never scrolls off its clones.
+     * @param pScrolled - The distance scrolled.
+     * @param pSize - The size of a tile on this axis, or 0 if the axis does not loop.
+     * @returns The wrapped distance, and how many tiles it jumped. Negative tiles are a jump left or up.
+     */
+    wrapScroll(pScrolled: number, pSize: number): { scrolled: number; tiles: number } {
+        if (pSize <= 0) return { scrolled: pScrolled, tiles: 0 };
+        const scrolled = ((pScrolled + pSize / 2) % pSize + pSize) % pSize - pSize / 2;
+        return { scrolled, tiles: Math.round((scrolled - pScrolled) / pSize) };
+    }
+    
+    /**
+     * Gets where the instance belongs for the camera, based only on its origin, its reference camera position and its speeds.
+     * @param pInstance - The instance to get the position of.
+     * @param pCameraX - The x position of the camera.
+     * @param pCameraY - The y position of the camera.
+     * @param pViewport - The viewport the instance is in.
+     * @returns Where the instance belongs for the camera.
+     */
+    getAnchoredPosition(pInstance: any, pCameraX: number, pCameraY: number, pViewport: Viewport = this.defaultViewport): { x: number; y: number } {
+        const parallaxConfig = this.instanceWeakMap.get(pInstance);
+        const state = pViewport.getInstanceState(pInstance);
+        if (!parallaxConfig || !state) return { x: 0, y: 0 };
+
+        return {
+            x: (state.originX ?? 0) + (pCameraX - (state.referenceX ?? 0)) * parallaxConfig.horizontalSpeed,
+            y: (state.originY ?? 0) + (pCameraY - (state.referenceY ?? 0)) * parallaxConfig.verticalSpeed
+        };
+    }
+    
+    /**
+     * Keeps absolute positioning going from the instance's current position when its speed changed,
+     * so a new speed does not make the instance jump.
+     * @param pInstance - The instance to rebase.
+     * @param pViewport - The viewport the instance is in.
+     */
+    rebaseOnSpeedChange(pInstance: any, pViewport: Viewport = this.defaultViewport): void {
+        const parallaxConfig = this.instanceWeakMap.get(pInstance);
+        const state = pViewport.getInstanceState(pInstance);
+        if (!parallaxConfig || !state) return;
+
+        const { horizontalSpeed, verticalSpeed } = parallaxConfig;
+        const anchored = this.getAnchoredPosition(pInstance, pViewport.lastCamPos.x ?? 0, pViewport.lastCamPos.y ?? 0, pViewport);
+        if (state.speedX !== undefined && state.speedX !== horizontalSpeed) {
+            state.offsetX = state.target.x - anchored.x;
+        }
+        if (state.speedY !== undefined && state.speedY !== verticalSpeed) {
+            state.offsetY = state.target.y - anchored.y;
+        }
+        state.speedX = horizontalSpeed;
+        state.speedY = verticalSpeed;
+    }
+    
+    /**
+     * Moves the camera of a viewport to a new position without a visible jump, such as on a respawn or a map change.
+     * Every layer keeps its position on screen and continues from there.
+     * @param pCameraX - The x position the camera moved to.
+     * @param pCameraY - The y position the camera moved to.
+     * @param pViewport - The viewport whose camera moved. Defaults to the default viewport.
+     */
+    teleport(pCameraX: number, pCameraY: number, pViewport: Viewport = this.defaultViewport): void {
+        const deltaX = pCameraX - (pViewport.lastCamPos.x ?? pCameraX);
+        const deltaY = pCameraY - (pViewport.lastCamPos.y ?? pCameraY);
+
+        for (const instance of this.instances) {
+            const parallaxConfig = this.instanceWeakMap.get(instance);
+            const state = pViewport.getInstanceState(instance);
+            if (!parallaxConfig || !state || parallaxConfig.disabled) continue;
+
+            this.unzoomInstance(instance, pViewport);
+            const { target } = state;
+            // Carry the layer along with the camera, the ground stays at its height
+            target.x += deltaX;
+            if (!parallaxConfig.ground) {
+                target.y += deltaY;
+            }
+            // Smoothing keeps trailing by the same distance
+            if (state.goalX !== undefined && state.goalY !== undefined) {
+                state.goalX += deltaX;
+                if (!parallaxConfig.ground) {
+                    state.goalY += deltaY;
                 }
             }
+
+            // Continue absolute positioning from here
+            const anchored = this.getAnchoredPosition(instance, pCameraX, pCameraY, pViewport);
+            state.offsetX = (state.goalX ?? target.x) - anchored.x;
+            state.offsetY = (state.goalY ?? target.y) - anchored.y;
         }
 
-        const infinite = infiniteHorizontal || infiniteVertical;
-        // If this has children, we need to update the children when it moves.
+        pViewport.setLastCamPos(pCameraX, pCameraY);
+        // Move the loop clones along
+        this.update(pCameraX, pCameraY, 0, pViewport);
+    }
+    
+    /**
+     * Places every layer of a viewport where it belongs for the camera, starting from each instance's origin and anchor.
+     * Drops any drift or wrapping built up so far.
+     * @param pCameraX - The x position of the camera. Defaults to the last camera position of the viewport.
+     * @param pCameraY - The y position of the camera. Defaults to the last camera position of the viewport.
+     * @param pViewport - The viewport to snap. Defaults to the default viewport.
+     */
+    snap(pCameraX?: number, pCameraY?: number, pViewport: Viewport = this.defaultViewport): void {
+        const cameraX = pCameraX ?? pViewport.lastCamPos.x ?? this.getCamPos().x ?? 0;
+        const cameraY = pCameraY ?? pViewport.lastCamPos.y ?? this.getCamPos().y ?? 0;
+
+        for (const instance of this.instances) {
+            const parallaxConfig = this.instanceWeakMap.get(instance);
+            const state = pViewport.getInstanceState(instance);
+            if (!parallaxConfig || !state || parallaxConfig.disabled) continue;
+
+            this.unzoomInstance(instance, pViewport);
+            const { target } = state;
+            const { ground, horizontalSpeed, verticalSpeed, tiling, infiniteHorizontal, infiniteVertical } = parallaxConfig;
+            const { width, height } = this.getBaseSize(instance, pViewport);
+
+            state.speedX = horizontalSpeed;
+            state.speedY = verticalSpeed;
+            // Drop any smoothing lag as well
+            state.goalX = undefined;
+            state.goalY = undefined;
+            state.velocityX = 0;
+            state.velocityY = 0;
+
+            if (ground) {
+                target.x = cameraX - width / 2;
+            } else {
+                const anchored = this.getAnchoredPosition(instance, cameraX, cameraY, pViewport);
+                const background = this.isBackground(instance);
+                target.x = background.x ? cameraX - width / 2 : anchored.x;
+                target.y = background.y ? cameraY - height / 2 : anchored.y;
+            }
+
+            const unwrappedX = target.x;
+            const unwrappedY = target.y;
+            if (tiling && (infiniteHorizontal || infiniteVertical)) {
+                this.wrapTiles(instance, cameraX, cameraY, pViewport);
+            } else {
+                this.wrapInstance(instance, cameraX, cameraY, pViewport);
+            }
+            state.offsetX = target.x - unwrappedX;
+            state.offsetY = target.y - unwrappedY;
+        }
+
+        pViewport.setLastCamPos(cameraX, cameraY);
+        // Move the loop clones along
+        this.update(cameraX, cameraY, 0, pViewport);
+    }
+    
+    /**
+     * Gets the area of the map the viewport shows, measured where the instance would be without zoom.
+     * @param pInstance - The instance to measure for.
+     * @param pViewport - The viewport the instance is in.
+     * @returns The area the viewport shows, or null if the viewport size was never set.
+     */
+    getLayerVisibleSize(pInstance: any, pViewport: Viewport = this.defaultViewport): HostSize | null {
+        const visible = pViewport.getVisibleSize();
+        if (!visible) return null;
+        const zoomScale = pViewport.getInstanceState(pInstance)?.zoomScale ?? 1;
+        return { width: visible.width / zoomScale, height: visible.height / zoomScale };
+    }
+    
+    /**
+     * Scales the instance and its clones in a viewport for camera zoom. Does nothing if the scale did not change.
+     * @param pInstance - The instance to scale.
+     * @param pZoomScale - The zoom scale from the perspective model.
+     * @param pViewport - The viewport the instance is in.
+     */
+    setZoomScale(pInstance: any, pZoomScale: number, pViewport: Viewport = this.defaultViewport): void {
+        const state = pViewport.getInstanceState(pInstance);
+        if (!state) return;
+
+        const current = state.zoomScale ?? 1;
+        if (current === pZoomScale) return;
+
+        const { host } = this;
+        if (!host.setScale) {
+            // Without scaling, offsetting the layer for zoom would pull it apart from its size
+            if (!this.warnedNoScale) {
+                this.warnedNoScale = true;
+                this.logger.prefix('Parallax-Module').warn(`The "${host.name}" host adapter cannot scale instances, so layers are not corrected for camera zoom. Add setScale to it.`);
+            }
+            return;
+        }
+
+        // Remember the instance's own scale the first time zoom is applied
+        if (current === 1) {
+            const { x, y } = this.host.getScale(state.target);
+            state.baseScaleX = x;
+            state.baseScaleY = y;
+        }
+
+        const scaleX = (state.baseScaleX ?? 1) * pZoomScale;
+        const scaleY = (state.baseScaleY ?? 1) * pZoomScale;
+        [state.target, ...pViewport.getClones(pInstance)].forEach((pObject) => {
+            host.setScale!(pObject, scaleX, scaleY);
+        });
+        state.zoomScale = pZoomScale;
+    }
+    
+    /**
+     * Moves the instance from where it trailed to toward its goal, which is where the target is now.
+     * Without a frame delta the instance is placed on its goal.
+     * @param pInstance - The instance to smooth.
+     * @param pFromX - The x position the instance trailed to.
+     * @param pFromY - The y position the instance trailed to.
+     * @param pDeltaTime - The time since the last update in milliseconds.
+     * @param pViewport - The viewport the instance is in.
+     */
+    smoothInstance(pInstance: any, pFromX: number, pFromY: number, pDeltaTime: number, pViewport: Viewport = this.defaultViewport): void {
+        const parallaxConfig = this.instanceWeakMap.get(pInstance);
+        const state = pViewport.getInstanceState(pInstance);
+        if (!parallaxConfig?.smoothing || !state) return;
+
+        const { target } = state;
+        const { type = 'damping', lag = 100, stiffness = 120, damping = 20 } = parallaxConfig.smoothing;
+        const goalX = target.x;
+        const goalY = target.y;
+        state.goalX = goalX;
+        state.goalY = goalY;
 
-        if (pInstance._parallaxOldX !== pInstance.x || pInstance._parallaxOldY !== pInstance.y) {
-            if (infinite) {
-                this.handleOnRelocated(pInstance);
+        let x = pFromX;
+        let y = pFromY;
+        if (pDeltaTime <= 0) {
+            // Without a frame delta there is no time to smooth over, so the instance would never move
+            x = goalX;
+            y = goalY;
+            state.velocityX = 0;
+            state.velocityY = 0;
+        } else if (type === 'spring') {
+            let velocityX = state.velocityX ?? 0;
+            let velocityY = state.velocityY ?? 0;
+            // Small steps keep the spring stable through long frames
+            let remaining = pDeltaTime / 1000;
+            while (remaining > 0) {
+                const step = Math.min(remaining, 1 / 120);
+                velocityX += (stiffness * (goalX - x) - damping * velocityX) * step;
+                velocityY += (stiffness * (goalY - y) - damping * velocityY) * step;
+                x += velocityX * step;
+                y += velocityY * step;
+                remaining -= step;
             }
-            this.events.emit(pInstance, 'MoveEvent');
+            state.velocityX = velocityX;
+            state.velocityY = velocityY;
+        } else if (lag > 0) {
+            // Frame rate independent exponential damping
+            const factor = 1 - Math.exp(-pDeltaTime / lag);
+            x += (goalX - x) * factor;
+            y += (goalY - y) * factor;
+        } else {
+            x = goalX;
+            y = goalY;
+        }
+
+        target.x = x;
+        target.y = y;
+    }
+    
+    /**
+     * Moves the instance to where it is drawn with zoom, scaling its distance from the camera by its zoom scale.
+     * @param pInstance - The instance to zoom.
+     * @param pCameraX - The x position of the camera.
+     * @param pCameraY - The y position of the camera.
+     * @param pViewport - The viewport the instance is in.
+     */
+    zoomInstance(pInstance: any, pCameraX: number, pCameraY: number, pViewport: Viewport = this.defaultViewport): void {
+        const state = pViewport.getInstanceState(pInstance);
+        if (!state || (state.zoomScale ?? 1) === 1) return;
+
+        const { target } = state;
+        const zoomScale = state.zoomScale ?? 1;
+        state.unzoomedX = target.x;
+        state.unzoomedY = target.y;
+        target.x = pCameraX + (target.x - pCameraX) * zoomScale;
+        target.y = pCameraY + (target.y - pCameraY) * zoomScale;
+        state.zoomed = true;
+    }
+    
+    /**
+     * Moves the instance back to where it would be without zoom.
+     * @param pInstance - The instance to unzoom.
+     * @param pViewport - The viewport the instance is in.
+     */
+    unzoomInstance(pInstance: any, pViewport: Viewport = this.defaultViewport): void {
+        const state = pViewport.getInstanceState(pInstance);
+        if (!state?.zoomed) return;
+
+        state.target.x = state.unzoomedX;
+        state.target.y = state.unzoomedY;
+        state.zoomed = false;
+    }
+    
+    /**
+     * Recycles the tiling grid so it covers the viewport. The target jumps by whole tiles to the top left tile slot
+     * of the screen, and its clones follow, so the grid never drifts from the parallax position.
+     * @param pInstance - The instance to wrap.
+     * @param pCameraX - The x position of the camera, or null to not wrap horizontally.
+     * @param pCameraY - The y position of the camera, or null to not wrap vertically.
+     * @param pViewport - The viewport the instance is in.
+     */
+    wrapTiles(pInstance: any, pCameraX: number | null, pCameraY: number | null, pViewport: Viewport = this.defaultViewport): void {
+        const parallaxConfig = this.instanceWeakMap.get(pInstance);
+        const target = pViewport.getTarget(pInstance);
+        if (!parallaxConfig || !target) return;
+
+        const { width, height } = this.getBaseSize(pInstance, pViewport);
+        const visible = this.getLayerVisibleSize(pInstance, pViewport) ?? { width, height };
+
+        if (parallaxConfig.infiniteHorizontal && pCameraX !== null && width > 0) {
+            const left = pCameraX - visible.width / 2;
+            target.x += Math.floor((left - target.x) / width) * width;
         }
 
-        pInstance._parallaxOldX = pInstance.x; 
-        pInstance._parallaxOldY = pInstance.y;
+        if (parallaxConfig.infiniteVertical && pCameraY !== null && height > 0) {
+            const top = pCameraY - visible.height / 2;
+            target.y += Math.floor((top - target.y) / height) * height;
+        }
     }
     
     /**
      * Handles the onRelocated event for instances. Moves their children in relativity to their position.
      * @param pInstance - The instance to handle the event for.
+     * @param pViewport - The viewport the instance moved in.
      */
-    handleOnRelocated(pInstance: any): void {
-        const parallaxConfig = this.instanceWeakMap.get(pInstance);
-        if (!parallaxConfig) return;
+    handleOnRelocated(pInstance: any, pViewport: Viewport = this.defaultViewport): void {
+        const state = pViewport.getInstanceState(pInstance);
+        if (!state) return;
         
-        const { verticalChildren, horizontalChildren } = parallaxConfig;
+        const { target, verticalChildren, horizontalChildren, tiles } = state;
+        const zoomScale = state.zoomScale ?? 1;
 
         // Update the children's position when the parent moves
         if (Array.isArray(verticalChildren)) {
             verticalChildren.forEach((pChild) => {
-                pChild.x = pInstance.x + pChild.relativeX;
-                pChild.y = pInstance.y + pChild.relativeY;
+                pChild.x = target.x + pChild.relativeX * zoomScale;
+                pChild.y = target.y + pChild.relativeY * zoomScale;
             });
         }
 
         if (Array.isArray(horizontalChildren)) {
             horizontalChildren.forEach((pChild) => {
-                pChild.x = pInstance.x + pChild.relativeX;
-                pChild.y = pInstance.y + pChild.relativeY;
+                pChild.x = target.x + pChild.relativeX * zoomScale;
+                pChild.y = target.y + pChild.relativeY * zoomScale;
+            });
+        }
+
+        if (Array.isArray(tiles)) {
+            tiles.forEach((pChild) => {
+                pChild.x = target.x + pChild.relativeX * zoomScale;
+                pChild.y = target.y + pChild.relativeY * zoomScale;
             });
         }
     }
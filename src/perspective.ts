@@ -0,0 +1,115 @@
+/**
+ * Turns the z-depth of a layer into how it scrolls and how it reacts to camera zoom.
+ * Depth 0 is the plane the game is played on, larger depths are further away and negative depths are in front of it.
+ */
+export interface PerspectiveModel {
+    /**
+     * Gets the parallax speeds of a layer at the depth.
+     * A speed of 0 stays where it is in the world, a speed of 1 moves along with the camera.
+     * Layers with a depth are never treated as backgrounds that stay with the camera, even at a speed of 0.
+     * @param pDepth - The depth of the layer.
+     * @returns The horizontal and vertical speed of the layer.
+     */
+    getSpeed(pDepth: number): { horizontalSpeed: number; verticalSpeed: number };
+    /**
+     * Gets how much a layer at the depth is scaled, on top of its own scale, while the camera is zoomed.
+     * The host is expected to zoom the whole view, this scale corrects the layer for its depth.
+     * @param pDepth - The depth of the layer.
+     * @param pZoom - The zoom of the camera. 1 is not zoomed.
+     * @returns The scale of the layer.
+     */
+    getZoomScale(pDepth: number, pZoom: number): number;
+    /**
+     * Whether a layer can be placed at the depth. Depths that are left out are always accepted.
+     * @param pDepth - The depth to check.
+     * @returns Whether the depth can be used.
+     */
+    isValidDepth?(pDepth: number): boolean;
+}
+
+/**
+ * The closest a layer gets to the camera while zooming, as a part of the focal length.
+ */
+const MIN_DISTANCE = 0.01;
+
+/**
+ * Options for the perspective projection.
+ */
+export interface PerspectiveProjectionOptions {
+    /**
+     * The distance from the camera to the plane the game is played on, in depth units.
+     */
+    focalLength?: number;
+    /**
+     * How much of the horizontal parallax is used vertically.
+     */
+    verticalFactor?: number;
+}
+
+/**
+ * The default perspective model. Layers are treated as flat planes seen through a pinhole camera
+ * that sits `focalLength` in front of the plane the game is played on.
+ *
+ * @example
+ * ```typescript
+ * // Flatter depth and half as much vertical parallax
+ * Parallax.setPerspective(new PerspectiveProjection({ focalLength: 4, verticalFactor: 0.5 }));
+ * ```
+ */
+export class PerspectiveProjection implements PerspectiveModel {
+    /**
+     * The distance from the camera to the plane the game is played on, in depth units.
+     */
+    focalLength = 1;
+
+    /**
+     * How much of the horizontal parallax is used vertically.
+     */
+    verticalFactor = 1;
+
+    /**
+     * Creates a new perspective projection.
+     * @param pOptions - The options of the projection.
+     */
+    constructor(pOptions: PerspectiveProjectionOptions = {}) {
+        if (typeof pOptions.focalLength === 'number' && pOptions.focalLength > 0) {
+            this.focalLength = pOptions.focalLength;
+        }
+        if (typeof pOptions.verticalFactor === 'number') {
+            this.verticalFactor = pOptions.verticalFactor;
+        }
+    }
+
+    /**
+     * Gets the parallax speeds of a layer at the depth.
+     * @param pDepth - The depth of the layer.
+     * @returns The horizontal and vertical speed of the layer.
+     */
+    getSpeed(pDepth: number): { horizontalSpeed: number; verticalSpeed: number } {
+        // How much slower than the game plane the layer slides across the screen
+        const speed = pDepth / (this.focalLength + pDepth);
+        return { horizontalSpeed: speed, verticalSpeed: speed * this.verticalFactor };
+    }
+
+    /**
+     * Gets how much a layer at the depth is scaled while the camera is zoomed.
+     * Layers far away barely react to zoom, while the game plane zooms fully through the host.
+     * A layer in front of the game plane that the zoom would carry up to the camera is held just in front of it.
+     * @param pDepth - The depth of the layer.
+     * @param pZoom - The zoom of the camera.
+     * @returns The scale of the layer.
+     */
+    getZoomScale(pDepth: number, pZoom: number): number {
+        const distance = Math.max(this.focalLength + pDepth * pZoom, this.focalLength * MIN_DISTANCE);
+        return (this.focalLength + pDepth) / distance;
+    }
+
+    /**
+     * Whether a layer can be placed at the depth. Layers must be in front of the camera, so deeper than `-focalLength`.
+     * @param pDepth - The depth to check.
+     * @returns Whether the depth can be used.
+     */
+    isValidDepth(pDepth: number): boolean {
+        return isFinite(pDepth) && pDepth > -this.focalLength;
+    }
+}
@@ -0,0 +1,259 @@
+import { Parallax } from './parallax.js';
+import type { CameraPosition, SmoothingConfig } from './parallax.js';
+
+/**
+ * The version of the scene format this module reads and writes.
+ */
+export const SCENE_VERSION = 1;
+
+/**
+ * A layer in a scene. Instances are referenced by id and turned into instances by the resolver passed to `Parallax.loadScene`.
+ */
+export interface SceneLayerDefinition {
+    name?: string;
+    plane?: number;
+    depth?: number;
+    horizontalSpeed?: number;
+    verticalSpeed?: number;
+    infiniteHorizontal?: boolean;
+    infiniteVertical?: boolean;
+    tiling?: boolean;
+    absolute?: boolean;
+    autoScrollX?: number;
+    autoScrollY?: number;
+    smoothing?: SmoothingConfig;
+    cameraAnchorX?: number;
+    cameraAnchorY?: number;
+    instances?: string[];
+    backgrounds?: string[];
+    ground?: string;
+    groundY?: number;
+    groundMapname?: string;
+}
+
+/**
+ * An instance in a scene that is not part of a layer.
+ */
+export interface SceneInstanceDefinition {
+    id: string;
+    horizontalSpeed?: number;
+    verticalSpeed?: number;
+    depth?: number;
+    infiniteHorizontal?: boolean;
+    infiniteVertical?: boolean;
+    tiling?: boolean;
+    absolute?: boolean;
+    autoScrollX?: number;
+    autoScrollY?: number;
+    smoothing?: SmoothingConfig;
+    cameraAnchorX?: number;
+    cameraAnchorY?: number;
+    ground?: boolean;
+    groundY?: number;
+    groundMapname?: string;
+}
+
+/**
+ * A full parallax setup that can be stored as JSON.
+ *
+ * @example
+ * ```json
+ * {
+ *   "version": 1,
+ *   "anchor": { "x": 480, "y": 270 },
+ *   "layers": [
+ *     { "name": "hills", "depth": 3, "infiniteHorizontal": true, "backgrounds": ["hills"] },
+ *     { "name": "floor", "plane": 2, "ground": "floor", "groundY": 600, "groundMapname": "level1", "infiniteHorizontal": true }
+ *   ]
+ * }
+ * ```
+ */
+export interface SceneDefinition {
+    version: number;
+    anchor?: CameraPosition;
+    layers: SceneLayerDefinition[];
+    instances?: SceneInstanceDefinition[];
+}
+
+/**
+ * Turns an id from a scene into the instance it stands for. The instance should already be on the map.
+ */
+export type SceneResolver = (pId: string) => any;
+
+const NUMBER_KEYS = ['plane', 'depth', 'horizontalSpeed', 'verticalSpeed', 'autoScrollX', 'autoScrollY', 'cameraAnchorX', 'cameraAnchorY', 'groundY'];
+const BOOLEAN_KEYS = ['infiniteHorizontal', 'infiniteVertical', 'tiling', 'absolute'];
+const STRING_KEYS = ['name', 'groundMapname'];
+const SHARED_KEYS = [...NUMBER_KEYS, ...BOOLEAN_KEYS, ...STRING_KEYS, 'smoothing'];
+const SCENE_KEYS = ['version', 'anchor', 'layers', 'instances'];
+const LAYER_KEYS = [...SHARED_KEYS, 'instances', 'backgrounds', 'ground'];
+const INSTANCE_KEYS = [...SHARED_KEYS, 'id', 'ground'];
+const SMOOTHING_TYPES = ['damping', 'spring'];
+const SMOOTHING_NUMBER_KEYS = ['lag', 'stiffness', 'damping'];
+
+/**
+ * Checks a smoothing definition.
+ * @param pSmoothing - The smoothing definition.
+ * @param pPath - Where the definition is in the scene, used in the error messages.
+ * @param pErrors - The list to add errors to.
+ */
+function validateSmoothing(pSmoothing: any, pPath: string, pErrors: string[]): void {
+    if (pSmoothing === undefined) return;
+    if (!pSmoothing || typeof pSmoothing !== 'object' || Array.isArray(pSmoothing)) {
+        pErrors.push(`${pPath}: expected an object, but received ${typeof pSmoothing}.`);
+        return;
+    }
+    validateKeys(pSmoothing, ['type', ...SMOOTHING_NUMBER_KEYS], pPath, pErrors);
+    if (pSmoothing.type !== undefined && !SMOOTHING_TYPES.includes(pSmoothing.type)) {
+        pErrors.push(`${pPath}.type: expected one of ${SMOOTHING_TYPES.join(', ')}, but received ${pSmoothing.type}.`);
+    }
+    SMOOTHING_NUMBER_KEYS.forEach((pKey) => {
+        if (pSmoothing[pKey] !== undefined && (typeof pSmoothing[pKey] !== 'number' || !isFinite(pSmoothing[pKey]) || pSmoothing[pKey] < 0)) {
+            pErrors.push(`${pPath}.${pKey}: expected a number of 0 or more, but received ${pSmoothing[pKey]}.`);
+        }
+    });
+}
+
+/**
+ * Reports the keys the scene format does not know, such as typos, so they are not silently passed on.
+ * @param pDefinition - The scene, layer, instance or smoothing definition.
+ * @param pKnownKeys - The keys the definition can have.
+ * @param pPath - Where the definition is in the scene, used in the error messages.
+ * @param pErrors - The list to add errors to.
+ */
+function validateKeys(pDefinition: any, pKnownKeys: string[], pPath: string, pErrors: string[]): void {
+    Object.keys(pDefinition).forEach((pKey) => {
+        if (!pKnownKeys.includes(pKey)) {
+            pErrors.push(`${pPath ? `${pPath}.` : ''}${pKey}: unknown key.`);
+        }
+    });
+}
+
+/**
+ * Checks the values of the keys shared by layers and instances. Depths are checked against `Parallax.perspective`.
+ * @param pDefinition - The layer or instance definition.
+ * @param pPath - Where the definition is in the scene, used in the error messages.
+ * @param pErrors - The list to add errors to.
+ */
+function validateShared(pDefinition: any, pPath: string, pErrors: string[]): void {
+    NUMBER_KEYS.forEach((pKey) => {
+        if (pDefinition[pKey] !== undefined && (typeof pDefinition[pKey] !== 'number' || !isFinite(pDefinition[pKey]))) {
+            pErrors.push(`${pPath}.${pKey}: expected a number, but received ${typeof pDefinition[pKey]}.`);
+        }
+    });
+    BOOLEAN_KEYS.forEach((pKey) => {
+        if (pDefinition[pKey] !== undefined && typeof pDefinition[pKey] !== 'boolean') {
+            pErrors.push(`${pPath}.${pKey}: expected a boolean, but received ${typeof pDefinition[pKey]}.`);
+        }
+    });
+    STRING_KEYS.forEach((pKey) => {
+        if (pDefinition[pKey] !== undefined && typeof pDefinition[pKey] !== 'string') {
+            pErrors.push(`${pPath}.${pKey}: expected a string, but received ${typeof pDefinition[pKey]}.`);
+        }
+    });
+    if (typeof pDefinition.depth === 'number' && isFinite(pDefinition.depth) && !Parallax.isValidDepth(pDefinition.depth)) {
+        pErrors.push(`${pPath}.depth: a depth of ${pDefinition.depth} is at or behind the camera of the perspective model.`);
+    }
+    validateSmoothing(pDefinition.smoothing, `${pPath}.smoothing`, pErrors);
+}
+
+/**
+ * Checks a list of instance ids.
+ * @param pIds - The list of ids.
+ * @param pPath - Where the list is in the scene, used in the error messages.
+ * @param pErrors - The list to add errors to.
+ */
+function validateIds(pIds: any, pPath: string, pErrors: string[]): void {
+    if (pIds === undefined) return;
+    if (!Array.isArray(pIds)) {
+        pErrors.push(`${pPath}: expected an array of instance ids.`);
+        return;
+    }
+    pIds.forEach((pId, pIndex) => {
+        if (typeof pId !== 'string' || !pId) {
+            pErrors.push(`${pPath}[${pIndex}]: expected an instance id, but received ${typeof pId}.`);
+        }
+    });
+}
+
+/**
+ * Checks that a scene follows the scene format, and that its depths are valid for the perspective model in use.
+ * @param pScene - The scene to check.
+ * @returns A list of everything wrong with the scene. Empty if the scene is valid.
+ */
+export function validateScene(pScene: any): string[] {
+    const errors: string[] = [];
+
+    if (!pScene || typeof pScene !== 'object' || Array.isArray(pScene)) {
+        errors.push('scene: expected an object.');
+        return errors;
+    }
+    validateKeys(pScene, SCENE_KEYS, '', errors);
+
+    if (typeof pScene.version !== 'number') {
+        errors.push(`version: expected a number, but received ${typeof pScene.version}.`);
+    } else if (pScene.version > SCENE_VERSION || pScene.version < 1) {
+        errors.push(`version: version ${pScene.version} is not supported, this module reads version ${SCENE_VERSION}.`);
+    }
+
+    if (pScene.anchor !== undefined) {
+        const { anchor } = pScene;
+        if (!anchor || typeof anchor !== 'object') {
+            errors.push('anchor: expected an object with an x and y.');
+        } else {
+            ['x', 'y'].forEach((pKey) => {
+                if (anchor[pKey] !== null && anchor[pKey] !== undefined && typeof anchor[pKey] !== 'number') {
+                    errors.push(`anchor.${pKey}: expected a number or null, but received ${typeof anchor[pKey]}.`);
+                }
+            });
+        }
+    }
+
+    if (!Array.isArray(pScene.layers)) {
+        errors.push('layers: expected an array.');
+    } else {
+        pScene.layers.forEach((pLayer: any, pIndex: number) => {
+            const path = `layers[${pIndex}]`;
+            if (!pLayer || typeof pLayer !== 'object') {
+                errors.push(`${path}: expected an object.`);
+                return;
+            }
+            validateKeys(pLayer, LAYER_KEYS, path, errors);
+            validateShared(pLayer, path, errors);
+            if (pLayer.plane === undefined && pLayer.depth === undefined) {
+                errors.push(`${path}: expected a plane or a depth.`);
+            }
+            validateIds(pLayer.instances, `${path}.instances`, errors);
+            validateIds(pLayer.backgrounds, `${path}.backgrounds`, errors);
+            if (pLayer.ground !== undefined && (typeof pLayer.ground !== 'string' || !pLayer.ground)) {
+                errors.push(`${path}.ground: expected an instance id, but received ${typeof pLayer.ground}.`);
+            }
+        });
+    }
+
+    if (pScene.instances !== undefined) {
+        if (!Array.isArray(pScene.instances)) {
+            errors.push('instances: expected an array.');
+        } else {
+            pScene.instances.forEach((pInstance: any, pIndex: number) => {
+                const path = `instances[${pIndex}]`;
+                if (!pInstance || typeof pInstance !== 'object') {
+                    errors.push(`${path}: expected an object.`);
+                    return;
+                }
+                if (typeof pInstance.id !== 'string' || !pInstance.id) {
+                    errors.push(`${path}.id: expected an instance id, but received ${typeof pInstance.id}.`);
+                }
+                validateKeys(pInstance, INSTANCE_KEYS, path, errors);
+                validateShared(pInstance, path, errors);
+                if (pInstance.depth === undefined && (pInstance.horizontalSpeed === undefined || pInstance.verticalSpeed === undefined)) {
+                    errors.push(`${path}: expected a horizontalSpeed and a verticalSpeed, or a depth.`);
+                }
+                if (pInstance.ground !== undefined && typeof pInstance.ground !== 'boolean') {
+                    errors.push(`${path}.ground: expected a boolean, but received ${typeof pInstance.ground}.`);
+                }
+            });
+        }
+    }
+
+    return errors;
+}
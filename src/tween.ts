@@ -0,0 +1,89 @@
+/**
+ * Turns linear progress from 0 to 1 into eased progress.
+ */
+export type EasingFunction = (pProgress: number) => number;
+
+/**
+ * The easing functions that can be used by name.
+ */
+export const Easing = {
+    linear: (pProgress: number) => pProgress,
+    easeInQuad: (pProgress: number) => pProgress * pProgress,
+    easeOutQuad: (pProgress: number) => pProgress * (2 - pProgress),
+    easeInOutQuad: (pProgress: number) => pProgress < 0.5 ? 2 * pProgress * pProgress : -1 + (4 - 2 * pProgress) * pProgress,
+    easeInCubic: (pProgress: number) => pProgress ** 3,
+    easeOutCubic: (pProgress: number) => 1 - (1 - pProgress) ** 3,
+    easeInOutCubic: (pProgress: number) => pProgress < 0.5 ? 4 * pProgress ** 3 : 1 - (-2 * pProgress + 2) ** 3 / 2,
+    easeInOutSine: (pProgress: number) => -(Math.cos(Math.PI * pProgress) - 1) / 2
+};
+
+/**
+ * The name of an easing function in `Easing`.
+ */
+export type EasingName = keyof typeof Easing;
+
+/**
+ * Eases a value over time. Tweens are advanced by the frame delta passed to `Parallax.update`.
+ */
+export class Tween {
+    /**
+     * How long the tween runs in milliseconds.
+     */
+    duration: number;
+
+    /**
+     * How long the tween has been running in milliseconds.
+     */
+    elapsed = 0;
+
+    /**
+     * The easing function of the tween.
+     */
+    easing: EasingFunction;
+
+    /**
+     * Whether the tween finished or was stopped.
+     */
+    finished = false;
+
+    /**
+     * Called with the eased progress every time the tween steps.
+     */
+    onUpdate: (pProgress: number) => void;
+
+    /**
+     * Creates a new tween.
+     * @param pDuration - How long the tween runs in milliseconds.
+     * @param pEasing - The easing function of the tween.
+     * @param pOnUpdate - Called with the eased progress every time the tween steps.
+     */
+    constructor(pDuration: number, pEasing: EasingFunction, pOnUpdate: (pProgress: number) => void) {
+        this.duration = Math.max(0, pDuration);
+        this.easing = pEasing;
+        this.onUpdate = pOnUpdate;
+    }
+
+    /**
+     * Advances the tween.
+     * @param pDeltaTime - The time since the last step in milliseconds.
+     * @returns Whether the tween is finished.
+     */
+    step(pDeltaTime: number): boolean {
+        if (this.finished) return true;
+
+        this.elapsed = Math.min(this.duration, this.elapsed + pDeltaTime);
+        const progress = this.duration > 0 ? this.elapsed / this.duration : 1;
+        this.onUpdate(this.easing(progress));
+        if (progress >= 1) {
+            this.finished = true;
+        }
+        return this.finished;
+    }
+
+    /**
+     * Stops the tween where it is.
+     */
+    stop(): void {
+        this.finished = true;
+    }
+}
@@ -0,0 +1,359 @@
+import { Parallax } from './parallax.js';
+import type { CameraPosition } from './parallax.js';
+import type { HostSize } from './host.js';
+
+/**
+ * The state a viewport keeps for each instance in the parallax system.
+ */
+export interface ViewportInstanceState {
+    /**
+     * The object this viewport positions. The instance itself for the default viewport, a clone otherwise.
+     */
+    target: any;
+    horizontalChildren?: any[];
+    verticalChildren?: any[];
+    /**
+     * The clones that fill the tiling grid around the target, corners included.
+     */
+    tiles?: any[];
+    /**
+     * Describes the grid and appearance the tiles were last built for. The grid is rebuilt when it changes.
+     */
+    tileKey?: string;
+    /**
+     * Where the target was placed when it was added. Used by absolute positioning.
+     */
+    originX?: number;
+    originY?: number;
+    /**
+     * The camera position the target looks natural at when it sits at its origin.
+     */
+    referenceX?: number;
+    referenceY?: number;
+    /**
+     * How far the target has moved away from where its origin and reference place it, through wrapping, teleports and speed changes.
+     */
+    offsetX?: number;
+    offsetY?: number;
+    /**
+     * How far a background that stays with the camera has auto-scrolled.
+     */
+    scrolledX?: number;
+    scrolledY?: number;
+    /**
+     * The speeds absolute positioning last used, so a speed change can be picked up without a jump.
+     */
+    speedX?: number;
+    speedY?: number;
+    /**
+     * Whether the target is currently drawn zoomed, and where it sits when it is not.
+     */
+    zoomed?: boolean;
+    unzoomedX?: number;
+    unzoomedY?: number;
+    /**
+     * The zoom scale currently applied to the target and its clones.
+     */
+    zoomScale?: number;
+    /**
+     * The scale of the target before zoom was applied.
+     */
+    baseScaleX?: number;
+    baseScaleY?: number;
+    /**
+     * Where smoothing is taking the target, and how fast a spring is moving it there.
+     */
+    goalX?: number;
+    goalY?: number;
+    velocityX?: number;
+    velocityY?: number;
+    oldX?: number;
+    oldY?: number;
+}
+
+/**
+ * A camera context for the parallax system. Each viewport tracks its own camera position, anchor and instance state,
+ * so the same layers can be shown with different parallax offsets, such as in split-screen.
+ *
+ * The default viewport moves the instances themselves. Every other viewport moves clones of the instances created through the host adapter.
+ * Each clone has its `parallaxViewport` set to the name of the viewport that owns it, so the host can choose which viewport renders it.
+ *
+ * @example
+ * ```typescript
+ * const playerTwo = Parallax.createViewport('player-two', cameraX, cameraY);
+ *
+ * // Each frame
+ * Parallax.update(playerOneX, playerOneY);
+ * playerTwo.update(playerTwoX, playerTwoY);
+ * ```
+ */
+export class Viewport {
+    /**
+     * The name of this viewport.
+     */
+    name: string;
+
+    /**
+     * The last position of the camera.
+     */
+    lastCamPos: CameraPosition = { x: null, y: null };
+
+    /**
+     * The virtual position on the map where the layers look natural together.
+     */
+    cameraAnchor: CameraPosition = { x: null, y: null };
+
+    /**
+     * Whether the anchor y position is set.
+     */
+    anchorYSet = false;
+
+    /**
+     * Whether the anchor x position is set.
+     */
+    anchorXSet = false;
+
+    /**
+     * The size of the screen this viewport is drawn to in pixels. Used to build tiling grids.
+     */
+    size: HostSize | null = null;
+
+    /**
+     * The scale this viewport is drawn at. A scale of 2 shows half as much of the map.
+     */
+    scale = 1;
+
+    /**
+     * The zoom of this viewport's camera. 1 is not zoomed.
+     */
+    zoom = 1;
+
+    /**
+     * Whether the zoom was set with `setZoom`. The default viewport reads the zoom from the host until it is.
+     */
+    zoomSet = false;
+
+    /**
+     * Weakmap to store the state of each instance in this viewport.
+     */
+    instanceStates = new WeakMap<any, ViewportInstanceState>();
+
+    /**
+     * Creates a new viewport. Use `Parallax.createViewport` to create a viewport that is updated by the parallax system.
+     * @param pName - The name of the viewport.
+     */
+    constructor(pName: string) {
+        this.name = pName;
+    }
+
+    /**
+     * Whether this is the default viewport.
+     * @returns Whether this is the default viewport.
+     */
+    isDefault(): boolean {
+        return this === Parallax.defaultViewport;
+    }
+
+    /**
+     * Updates the parallax system for this viewport.
+     * @param pCameraX - The x position of this viewport's camera.
+     * @param pCameraY - The y position of this viewport's camera.
+     * @param pDeltaTime - The time since the last update in milliseconds.
+     * @param pZoom - The zoom of this viewport's camera. Keeps the current zoom when left out.
+     */
+    update(pCameraX = 0, pCameraY = 0, pDeltaTime = 0, pZoom?: number): void {
+        Parallax.update(pCameraX, pCameraY, pDeltaTime, this, pZoom);
+    }
+
+    /**
+     * Gets the state of the instance in this viewport.
+     * @param pInstance - The instance to get the state of.
+     * @returns The state of the instance in this viewport.
+     */
+    getInstanceState(pInstance: any): ViewportInstanceState | undefined {
+        return this.instanceStates.get(pInstance);
+    }
+
+    /**
+     * Gets the object this viewport positions for the instance.
+     * @param pInstance - The instance to get the target of.
+     * @returns The object this viewport positions for the instance.
+     */
+    getTarget(pInstance: any): any {
+        return this.instanceStates.get(pInstance)?.target;
+    }
+
+    /**
+     * Gets every clone this viewport created for the instance.
+     * @param pInstance - The instance to get the clones of.
+     * @returns Every clone this viewport created for the instance.
+     */
+    getClones(pInstance: any): any[] {
+        const state = this.instanceStates.get(pInstance);
+        if (!state) return [];
+        return [...(state.horizontalChildren ?? []), ...(state.verticalChildren ?? []), ...(state.tiles ?? [])];
+    }
+
+    /**
+     * Sets the size of the screen this viewport is drawn to. Tiling grids are rebuilt to cover it on the next update.
+     * @param pWidth - The width of the screen in pixels.
+     * @param pHeight - The height of the screen in pixels.
+     * @param pScale - The scale the viewport is drawn at.
+     */
+    setSize(pWidth: number, pHeight: number, pScale = 1): void {
+        if (typeof pWidth !== 'number' || typeof pHeight !== 'number' || typeof pScale !== 'number' || pScale <= 0) {
+            Parallax.logger.prefix('Parallax-Module').warn('Expected positive numbers for the viewport size and scale, but received:', pWidth, pHeight, pScale);
+            return;
+        }
+        this.size = { width: pWidth, height: pHeight };
+        this.scale = pScale;
+    }
+
+    /**
+     * Sets the zoom of this viewport's camera. Layers with a depth are scaled and offset to match on the next update.
+     * @param pZoom - The zoom of the camera. 1 is not zoomed.
+     */
+    setZoom(pZoom: number): void {
+        if (typeof pZoom !== 'number' || pZoom <= 0) {
+            Parallax.logger.prefix('Parallax-Module').warn('Expected a positive number for "pZoom", but received:', pZoom);
+            return;
+        }
+        this.zoom = pZoom;
+        this.zoomSet = true;
+    }
+
+    /**
+     * Stops using the zoom set with `setZoom`. The default viewport reads the zoom from the host again, other viewports are not zoomed.
+     */
+    resetZoom(): void {
+        this.zoom = 1;
+        this.zoomSet = false;
+    }
+
+    /**
+     * Gets the zoom of this viewport's camera.
+     * @returns The zoom of this viewport's camera.
+     */
+    getZoom(): number {
+        return this.zoom;
+    }
+
+    /**
+     * Gets the area of the map this viewport shows, with its scale and zoom applied.
+     * @returns The area of the map this viewport shows, or null if the size was never set.
+     */
+    getVisibleSize(): HostSize | null {
+        if (!this.size) return null;
+        const scale = this.scale * this.zoom;
+        return { width: this.size.width / scale, height: this.size.height / scale };
+    }
+
+    /**
+     * Whether the last camera position is set.
+     * @returns Whether the last camera position is set.
+     */
+    hasLastCamPos(): boolean {
+        return this.lastCamPos.x !== null && this.lastCamPos.y !== null;
+    }
+
+    /**
+     * Sets the last camera position.
+     * @param pX - The last x position of the camera.
+     * @param pY - The last y position of the camera.
+     */
+    setLastCamPos(pX: number, pY: number): void {
+        this.lastCamPos.x = pX;
+        this.lastCamPos.y = pY;
+    }
+
+    /**
+     * Sets the anchor position for this viewport.
+     * @param pCameraAnchor - The virtual position on the map where the layers look natural together.
+     */
+    setCameraAnchor(pCameraAnchor: CameraPosition): void {
+        this.setCameraAnchorX(pCameraAnchor.x);
+        this.setCameraAnchorY(pCameraAnchor.y);
+    }
+
+    /**
+     * Sets the anchor x position for this viewport.
+     * @param pXAnchor - The x position to set the anchor to.
+     */
+    setCameraAnchorX(pXAnchor: number | null): void {
+        this.cameraAnchor.x = pXAnchor;
+        this.anchorXSet = true;
+    }
+
+    /**
+     * Sets the anchor y position for this viewport.
+     * @param pYAnchor - The y position to set the anchor to.
+     */
+    setCameraAnchorY(pYAnchor: number | null): void {
+        this.cameraAnchor.y = pYAnchor;
+        this.anchorYSet = true;
+    }
+
+    /**
+     * Gets the anchor position.
+     * @returns The anchor position.
+     */
+    getCameraAnchor(): CameraPosition {
+        return { ...this.cameraAnchor };
+    }
+
+    /**
+     * Gets the anchor x position.
+     * @returns The anchor x position.
+     */
+    getAnchorX(): number | null {
+        return this.cameraAnchor.x;
+    }
+
+    /**
+     * Gets the anchor y position.
+     * @returns The anchor y position.
+     */
+    getAnchorY(): number | null {
+        return this.cameraAnchor.y;
+    }
+
+    /**
+     * Resets the anchor position.
+     */
+    resetAnchor(): void {
+        this.resetAnchorX();
+        this.resetAnchorY();
+    }
+
+    /**
+     * Resets the anchor x position.
+     */
+    resetAnchorX(): void {
+        this.cameraAnchor.x = null;
+        this.anchorXSet = false;
+    }
+
+    /**
+     * Resets the anchor y position.
+     */
+    resetAnchorY(): void {
+        this.cameraAnchor.y = null;
+        this.anchorYSet = false;
+    }
+
+    /**
+     * Whether the anchor x position is set.
+     * @returns Whether the anchor x position is set.
+     */
+    isAnchorXSet(): boolean {
+        return this.anchorXSet;
+    }
+
+    /**
+     * Whether the anchor y position is set.
+     * @returns Whether the anchor y position is set.
+     */
+    isAnchorYSet(): boolean {
+        return this.anchorYSet;
+    }
+}
@@ -0,0 +1,65 @@
+import { describe, it, expect, beforeEach } from 'bun:test';
+import { Parallax, HeadlessHostAdapter } from '../src/index.js';
+import { FRAME, resetParallax, run } from './helpers.js';
+
+/**
+ * Whether the instance or one of its clones in the default viewport covers the point on the x axis.
+ */
+function coversX(pInstance: any, pX: number): boolean {
+    const width = pInstance.icon.width;
+    return [pInstance, ...Parallax.defaultViewport.getClones(pInstance)].some((pTarget) => pTarget.x <= pX && pX < pTarget.x + width);
+}
+
+let host: HeadlessHostAdapter;
+
+beforeEach(() => {
+    host = resetParallax();
+});
+
+describe('auto-scroll', () => {
+    it('scrolls by its speed in pixels per second', () => {
+        const train = host.createInstance({ x: 0, y: 0, width: 50, height: 50, mapName: 'm' });
+        Parallax.add(train, { horizontalSpeed: 1, verticalSpeed: 1, autoScrollX: 60 });
+
+        Parallax.update(0, 0, 500);
+        Parallax.update(0, 0, 500);
+
+        expect(train.x).toBeCloseTo(60);
+    });
+
+    it('stops while paused', () => {
+        const train = host.createInstance({ x: 0, y: 0, width: 50, height: 50, mapName: 'm' });
+        Parallax.add(train, { horizontalSpeed: 1, verticalSpeed: 1, autoScrollX: 60 });
+        Parallax.update(0, 0, 1000);
+        const x = train.x;
+
+        Parallax.pause();
+        Parallax.update(0, 0, 1000);
+        expect(train.x).toBe(x);
+
+        Parallax.resume();
+        Parallax.update(0, 0, 1000);
+        expect(train.x).toBeCloseTo(x + 60);
+    });
+
+    it('does not scroll the ground', () => {
+        const floor = host.createInstance({ x: 0, y: 0, width: 50, height: 50, mapName: 'm' });
+        Parallax.add(floor, { horizontalSpeed: 1, verticalSpeed: 1, autoScrollX: 60, ground: true });
+
+        Parallax.update(0, 0, FRAME);
+        const x = floor.x;
+        run(60);
+
+        expect(floor.x).toBe(x);
+    });
+
+    it('keeps the camera covered while an infinite strip scrolls', () => {
+        const clouds = host.createInstance({ width: 200, height: 50, mapName: 'm' });
+        Parallax.add(clouds, { horizontalSpeed: 0.3, verticalSpeed: 0, autoScrollX: -12, infiniteHorizontal: true });
+
+        for (let i = 0; i < 60; i++) {
+            run(60);
+            expect(coversX(clouds, 0)).toBe(true);
+        }
+    });
+});
@@ -0,0 +1,138 @@
+import { describe, it, expect, beforeEach } from 'bun:test';
+import { Parallax, HeadlessHostAdapter, Layer, PerspectiveProjection } from '../src/index.js';
+import { FRAME, resetParallax } from './helpers.js';
+
+let host: HeadlessHostAdapter;
+
+beforeEach(() => {
+    host = resetParallax();
+});
+
+describe('depth', () => {
+    it('takes the speeds from the perspective model', () => {
+        const hills = host.createInstance({ x: 100, y: 100, width: 50, height: 50, mapName: 'm' });
+        Parallax.add(hills, { depth: 3 });
+
+        Parallax.update(0, 0, FRAME);
+        Parallax.update(100, 100, FRAME);
+
+        expect(hills.x).toBeCloseTo(175);
+        expect(hills.y).toBeCloseTo(175);
+    });
+
+    it('keeps a depth of 0 where it is in the world', () => {
+        const floor = host.createInstance({ x: 100, y: 100, width: 50, height: 50, mapName: 'm' });
+        Parallax.add(floor, { depth: 0 });
+
+        Parallax.update(0, 0, FRAME);
+        Parallax.update(500, 300, FRAME);
+
+        expect(floor.x).toBe(100);
+        expect(floor.y).toBe(100);
+        expect(Parallax.isBackground(floor)).toEqual({ x: false, y: false });
+    });
+
+    it('ignores depths at or behind the camera', () => {
+        const near = host.createInstance({ width: 50, height: 50, mapName: 'm' });
+        Parallax.add(near, { depth: -1, horizontalSpeed: 0.5, verticalSpeed: 0.25 });
+        const layer = new Layer({ depth: -2, plane: 1 });
+
+        const config = Parallax.instanceWeakMap.get(near)!;
+        expect(config.depth).toBeUndefined();
+        expect(config.horizontalSpeed).toBe(0.5);
+        expect(config.verticalSpeed).toBe(0.25);
+        expect(layer.config.depth).toBeUndefined();
+        expect(Parallax.isValidDepth(-0.5)).toBe(true);
+        expect(Parallax.isValidDepth(NaN)).toBe(false);
+    });
+
+    it('does not add an instance without speeds or a valid depth', () => {
+        const behind = host.createInstance({ x: 100, y: 100, width: 50, height: 50, mapName: 'm' });
+        const unset = host.createInstance({ x: 100, y: 100, width: 50, height: 50, mapName: 'm' });
+        const half = host.createInstance({ x: 100, y: 100, width: 50, height: 50, mapName: 'm' });
+
+        Parallax.add(behind, { depth: -2 });
+        Parallax.add(unset, {});
+        Parallax.add(half, { horizontalSpeed: 0.5 });
+        Parallax.update(0, 0, FRAME);
+        Parallax.update(500, 0, FRAME);
+
+        expect(Parallax.instances.size).toBe(0);
+        expect(behind.x).toBe(100);
+    });
+
+    it('keeps the zoom scale finite for depths in front of the game plane', () => {
+        const perspective = new PerspectiveProjection();
+
+        const scale = perspective.getZoomScale(-0.6, 2);
+
+        expect(Number.isFinite(scale)).toBe(true);
+        expect(scale).toBeGreaterThan(0);
+    });
+
+    it('recalculates the speeds when the perspective changes', () => {
+        const hills = host.createInstance({ width: 50, height: 50, mapName: 'm' });
+        Parallax.add(hills, { depth: 3 });
+
+        Parallax.setPerspective(new PerspectiveProjection({ focalLength: 3, verticalFactor: 0.5 }));
+
+        const config = Parallax.instanceWeakMap.get(hills)!;
+        expect(config.horizontalSpeed).toBeCloseTo(0.5);
+        expect(config.verticalSpeed).toBeCloseTo(0.25);
+    });
+});
+
+describe('zoom', () => {
+    it('keeps a zoom set by hand over the host zoom', () => {
+        Parallax.setZoom(2);
+
+        Parallax.update(0, 0, FRAME);
+
+        expect(Parallax.defaultViewport.getZoom()).toBe(2);
+    });
+
+    it('follows the host zoom again after a reset', () => {
+        Parallax.setZoom(2);
+        Parallax.resetZoom();
+        host.setZoom(3);
+
+        Parallax.update(0, 0, FRAME);
+
+        expect(Parallax.defaultViewport.getZoom()).toBe(3);
+    });
+
+    it('keeps the zoom apart from the screen scale', () => {
+        Parallax.setZoom(2);
+        Parallax.setViewportSize(800, 600, 2);
+
+        expect(Parallax.defaultViewport.getZoom()).toBe(2);
+        expect(Parallax.defaultViewport.getVisibleSize()).toEqual({ width: 200, height: 150 });
+    });
+
+    it('scales layers with a depth for the zoom', () => {
+        const hills = host.createInstance({ width: 50, height: 50, mapName: 'm' });
+        const floor = host.createInstance({ width: 50, height: 50, mapName: 'm' });
+        Parallax.add(hills, { depth: 3 });
+        Parallax.add(floor, { depth: 0 });
+
+        Parallax.update(0, 0, FRAME, Parallax.defaultViewport, 2);
+
+        expect(hills.scale.x).toBeCloseTo(4 / 7);
+        expect(floor.scale.x).toBe(1);
+
+        Parallax.update(0, 0, FRAME, Parallax.defaultViewport, 1);
+
+        expect(hills.scale.x).toBeCloseTo(1);
+    });
+
+    it('leaves layers alone when the host cannot scale', () => {
+        (host as any).setScale = undefined;
+        const hills = host.createInstance({ width: 50, height: 50, mapName: 'm' });
+        Parallax.add(hills, { depth: 3 });
+
+        Parallax.update(0, 0, FRAME, Parallax.defaultViewport, 2);
+
+        expect(hills.scale.x).toBe(1);
+        expect(Parallax.warnedNoScale).toBe(true);
+    });
+});
@@ -0,0 +1,116 @@
+import { describe, it, expect, beforeEach } from 'bun:test';
+import { Parallax, HeadlessHostAdapter, Layer } from '../src/index.js';
+import { FRAME, resetParallax, run } from './helpers.js';
+
+let host: HeadlessHostAdapter;
+
+beforeEach(() => {
+    host = resetParallax();
+});
+
+describe('events', () => {
+    it('emits a MoveEvent with the old and new position', () => {
+        const hills = host.createInstance({ x: 100, y: 100, width: 50, height: 50, mapName: 'm' });
+        Parallax.add(hills, { horizontalSpeed: 0.5, verticalSpeed: 0.5 });
+        Parallax.update(0, 0, FRAME);
+        const moves: any[] = [];
+        Parallax.events.on(hills, 'MoveEvent', ({ pData }: any) => moves.push(pData));
+
+        Parallax.update(100, 0, FRAME);
+
+        expect(moves).toHaveLength(1);
+        expect(moves[0]).toMatchObject({ viewport: 'default', oldX: 100, x: 150, deltaX: 50, deltaY: 0 });
+    });
+
+    it('reaches instance, layer and global listeners', () => {
+        const tree = host.createInstance({ width: 10, height: 10, mapName: 'm' });
+        const layer = new Layer({ plane: 1, horizontalSpeed: 0.5, verticalSpeed: 0.5 });
+        const heard: string[] = [];
+        Parallax.events.on(tree, 'AddEvent', () => heard.push('instance'));
+        layer.on('AddEvent', () => heard.push('layer'));
+        Parallax.events.onGlobal('AddEvent', () => heard.push('global'));
+
+        layer.add(tree);
+
+        expect(heard).toEqual(['instance', 'layer', 'global']);
+    });
+
+    it('invokes a once listener a single time', () => {
+        const hills = host.createInstance({ width: 50, height: 50, mapName: 'm' });
+        Parallax.add(hills, { horizontalSpeed: 0.5, verticalSpeed: 0.5 });
+        let calls = 0;
+        Parallax.events.once(hills, 'MoveEvent', () => calls++);
+        Parallax.events.onceGlobal('UpdateEvent', () => calls++);
+
+        run(5, 10);
+
+        expect(calls).toBe(2);
+    });
+
+    it('tells the layer listeners about a removed member', () => {
+        const tree = host.createInstance({ width: 10, height: 10, mapName: 'm' });
+        const layer = new Layer({ plane: 1, horizontalSpeed: 0.5, verticalSpeed: 0.5, instances: [tree] });
+        const removed: any[] = [];
+        layer.on('RemoveEvent', ({ pInstance, pData }: any) => removed.push({ pInstance, layer: pData.layer }));
+
+        layer.remove(tree);
+
+        expect(removed).toEqual([{ pInstance: tree, layer }]);
+    });
+
+    it('tells both layers about a layer change', () => {
+        const tree = host.createInstance({ width: 10, height: 10, mapName: 'm' });
+        const from = new Layer({ plane: 1, horizontalSpeed: 0.5, verticalSpeed: 0.5, instances: [tree] });
+        const to = new Layer({ plane: 2, horizontalSpeed: 0.2, verticalSpeed: 0.2 });
+        const heard: Layer[] = [];
+        from.on('LayerChangeEvent', () => heard.push(from));
+        to.on('LayerChangeEvent', () => heard.push(to));
+
+        from.moveInstance(tree, to);
+
+        expect(heard).toHaveLength(2);
+        expect(heard).toContain(from);
+        expect(heard).toContain(to);
+    });
+
+    it('emits a WrapEvent when an auto-scrolling strip wraps', () => {
+        const strip = host.createInstance({ width: 100, height: 50, mapName: 'm' });
+        Parallax.add(strip, { horizontalSpeed: 0, verticalSpeed: 0, autoScrollX: 600, infiniteHorizontal: true });
+        const wraps: any[] = [];
+        Parallax.events.on(strip, 'WrapEvent', ({ pData }: any) => wraps.push(pData));
+
+        run(50);
+
+        expect(wraps).toHaveLength(5);
+        expect(wraps[0]).toMatchObject({ viewport: 'default', direction: 'left', tiles: 1, distance: 100 });
+    });
+
+    it('emits no WrapEvent for a tiled background that stays with the camera', () => {
+        Parallax.setViewportSize(400, 300);
+        const sky = host.createInstance({ width: 100, height: 100, mapName: 'm' });
+        Parallax.add(sky, { horizontalSpeed: 0, verticalSpeed: 0, infiniteHorizontal: true, infiniteVertical: true, tiling: true });
+        let wraps = 0;
+        Parallax.events.on(sky, 'WrapEvent', () => wraps++);
+
+        run(10, 7, 3);
+
+        const tiles = [sky, ...Parallax.defaultViewport.getClones(sky)];
+        expect(wraps).toBe(0);
+        expect(Parallax.defaultViewport.getInstanceState(sky)!.offsetX ?? 0).toBe(0);
+        expect(tiles.some((pTile) => pTile.x <= 70 - 200 && pTile.y <= 30 - 150)).toBe(true);
+        expect(tiles.some((pTile) => pTile.x + 100 >= 70 + 200 && pTile.y + 100 >= 30 + 150)).toBe(true);
+    });
+
+    it('emits an UpdateEvent on the viewport and globally', () => {
+        const updates: any[] = [];
+        Parallax.events.on(Parallax.defaultViewport, 'UpdateEvent', ({ pData }: any) => updates.push(pData));
+        Parallax.events.onGlobal('UpdateEvent', ({ pInstance }: any) => updates.push(pInstance));
+
+        Parallax.update(0, 0, FRAME);
+        Parallax.update(30, 10, FRAME);
+
+        expect(updates).toHaveLength(4);
+        expect(updates[2]).toEqual({ viewport: 'default', cameraX: 30, cameraY: 10, deltaX: 30, deltaY: 10, deltaTime: FRAME });
+        expect(updates[3]).toBe(Parallax.defaultViewport);
+    });
+});
@@ -0,0 +1,49 @@
+import { Parallax, HeadlessHostAdapter, EventEmitter, PerspectiveProjection } from '../src/index.js';
+
+/**
+ * The frame delta used by the tests, in milliseconds.
+ */
+export const FRAME = 1000 / 60;
+
+/**
+ * Puts the shared Parallax singleton back into its starting state on a fresh headless host.
+ * @returns The headless host the singleton now uses.
+ */
+export function resetParallax(): HeadlessHostAdapter {
+    Parallax.clear();
+    for (const viewport of Parallax.getViewports()) {
+        if (!viewport.isDefault()) {
+            Parallax.removeViewport(viewport.name);
+        }
+    }
+    const host = new HeadlessHostAdapter();
+    host.setCamera(0, 0);
+    Parallax.setHost(host);
+    Parallax.events = new EventEmitter();
+    Parallax.setPerspective(new PerspectiveProjection());
+    Parallax.setAbsolute(false);
+    Parallax.resume();
+    Parallax.resetZoom();
+    Parallax.warnedNoScale = false;
+    Parallax.defaultViewport.size = null;
+    Parallax.defaultViewport.scale = 1;
+    return host;
+}
+
+/**
+ * Updates the default viewport every frame while the camera moves by a fixed step.
+ * @param pFrames - How many frames to run.
+ * @param pStepX - How far the camera moves horizontally each frame.
+ * @param pStepY - How far the camera moves vertically each frame.
+ * @param pStart - Where the camera starts.
+ * @returns Where the camera ended.
+ */
+export function run(pFrames: number, pStepX = 0, pStepY = 0, pStart = { x: 0, y: 0 }): { x: number; y: number } {
+    let { x, y } = pStart;
+    for (let i = 0; i < pFrames; i++) {
+        x += pStepX;
+        y += pStepY;
+        Parallax.update(x, y, FRAME);
+    }
+    return { x, y };
+}
@@ -0,0 +1,62 @@
+import { describe, it, expect, beforeEach } from 'bun:test';
+import { Parallax, HeadlessHostAdapter, VyloHostAdapter } from '../src/index.js';
+import { FRAME, resetParallax } from './helpers.js';
+
+let host: HeadlessHostAdapter;
+
+beforeEach(() => {
+    host = resetParallax();
+});
+
+describe('host adapters', () => {
+    it('reads the camera from the host', () => {
+        host.setCamera(120, 40);
+
+        expect(Parallax.getHost()).toBe(host);
+        expect(Parallax.getCamPos()).toEqual({ x: 120, y: 40 });
+    });
+
+    it('places instances through the host', () => {
+        const hills = host.createInstance({ x: 100, y: 100, width: 50, height: 50, mapName: 'm' });
+        Parallax.add(hills, { horizontalSpeed: 0.5, verticalSpeed: 0.5 });
+
+        Parallax.update(0, 0, FRAME);
+        Parallax.update(100, 40, FRAME);
+
+        expect(hills.x).toBe(150);
+        expect(hills.y).toBe(120);
+        expect(hills.mapName).toBe('m');
+    });
+
+    it('keeps an instance with a speed of 0 with the camera', () => {
+        const sky = host.createInstance({ x: 100, y: 100, width: 50, height: 50, mapName: 'm' });
+        Parallax.add(sky, { horizontalSpeed: 0, verticalSpeed: 0 });
+
+        Parallax.update(0, 0, FRAME);
+        const offsetX = sky.x;
+        Parallax.update(300, 0, FRAME);
+
+        expect(sky.x - 300).toBe(offsetX);
+    });
+
+    it('creates and destroys loop clones through the host', () => {
+        const strip = host.createInstance({ width: 200, height: 50, mapName: 'm' });
+        Parallax.add(strip, { horizontalSpeed: 0.5, verticalSpeed: 0, infiniteHorizontal: true });
+
+        const clones = Parallax.defaultViewport.getClones(strip);
+        expect(clones).toHaveLength(2);
+        expect(clones.every((pClone) => host.clones.has(pClone) && pClone.icon.width === 200)).toBe(true);
+
+        Parallax.remove(strip);
+        expect(host.clones.size).toBe(0);
+    });
+
+    it('does not set up instances while the host is not ready', () => {
+        Parallax.setHost(new VyloHostAdapter());
+        const hills = { icon: { width: 50, height: 50 }, scale: { x: 1, y: 1 } };
+
+        Parallax.add(hills, { horizontalSpeed: 0.5, verticalSpeed: 0.5 });
+
+        expect(Parallax.defaultViewport.getInstanceState(hills)).toBeUndefined();
+    });
+});
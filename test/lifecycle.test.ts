@@ -0,0 +1,200 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import { Parallax, HeadlessHostAdapter, Layer, VyloHostAdapter } from '../src/index.js';
+import { FRAME, resetParallax } from './helpers.js';
+
+let host: HeadlessHostAdapter;
+
+beforeEach(() => {
+    host = resetParallax();
+});
+
+describe('membership', () => {
+    it('keeps the ground in the layer instances', () => {
+        const floor = host.createInstance({ width: 100, height: 10, mapName: 'm' });
+        const tree = host.createInstance({ width: 10, height: 10, mapName: 'm' });
+        const layer = new Layer({ plane: 1, horizontalSpeed: 0.5, verticalSpeed: 0.5, instances: [tree], ground: floor, groundY: 5, groundMapname: 'm' });
+
+        expect(layer.getInstances()).toContain(floor);
+        expect(layer.getGround()).toBe(floor);
+        expect(layer.getRole(floor)).toBe('ground');
+        expect(layer.getRole(tree)).toBe('instance');
+        expect(layer.getMembers()).toHaveLength(2);
+    });
+
+    it('passes speed changes on to the ground', () => {
+        const floor = host.createInstance({ width: 100, height: 10, mapName: 'm' });
+        const layer = new Layer({ plane: 1, horizontalSpeed: 0.5, verticalSpeed: 0.5, ground: floor, groundY: 5, groundMapname: 'm' });
+
+        layer.updateHorizontalSpeed(0.7, false);
+
+        expect(Parallax.instanceWeakMap.get(floor)!.horizontalSpeed).toBe(0.7);
+    });
+
+    it('moves an instance to another layer with its role', () => {
+        const floor = host.createInstance({ width: 100, height: 10, mapName: 'm' });
+        const from = new Layer({ plane: 1, horizontalSpeed: 0.5, verticalSpeed: 0.5, ground: floor, groundY: 5, groundMapname: 'm' });
+        const to = new Layer({ plane: 2, horizontalSpeed: 0.2, verticalSpeed: 0.2 });
+
+        from.moveInstance(floor, to);
+
+        expect(from.has(floor)).toBe(false);
+        expect(to.getGround()).toBe(floor);
+        expect(floor.plane).toBe(2);
+        expect(Parallax.instanceWeakMap.get(floor)!.horizontalSpeed).toBe(0.2);
+    });
+});
+
+describe('lifecycle', () => {
+    it('destroys the clones of a removed instance in every viewport', () => {
+        const strip = host.createInstance({ width: 200, height: 50, mapName: 'm' });
+        const layer = new Layer({ plane: 1, horizontalSpeed: 0.5, verticalSpeed: 0, infiniteHorizontal: true, backgrounds: [strip] });
+        Parallax.createViewport('player-two', 0, 0);
+        expect(host.clones.size).toBeGreaterThan(0);
+
+        layer.remove(strip);
+
+        expect(host.clones.size).toBe(0);
+        expect(Parallax.instances.has(strip)).toBe(false);
+        expect(layer.has(strip)).toBe(false);
+    });
+
+    it('removes every member when the layer is destroyed', () => {
+        const floor = host.createInstance({ width: 100, height: 10, mapName: 'm' });
+        const strip = host.createInstance({ width: 200, height: 50, mapName: 'm' });
+        const layer = new Layer({ plane: 1, horizontalSpeed: 0.5, verticalSpeed: 0.5, infiniteHorizontal: true, backgrounds: [strip], ground: floor, groundY: 5, groundMapname: 'm' });
+
+        layer.destroy();
+
+        expect(Parallax.instances.size).toBe(0);
+        expect(Parallax.layers.has(layer)).toBe(false);
+        expect(host.clones.size).toBe(0);
+    });
+
+    it('clears every layer, instance and camera position', () => {
+        const strip = host.createInstance({ width: 200, height: 50, mapName: 'm' });
+        const tree = host.createInstance({ width: 10, height: 10, mapName: 'm' });
+        new Layer({ plane: 1, horizontalSpeed: 0.5, verticalSpeed: 0, infiniteHorizontal: true, backgrounds: [strip] });
+        Parallax.add(tree, { horizontalSpeed: 0.5, verticalSpeed: 0.5 });
+        Parallax.update(100, 100, FRAME);
+
+        Parallax.clear();
+
+        expect(Parallax.instances.size).toBe(0);
+        expect(Parallax.layers.size).toBe(0);
+        expect(host.clones.size).toBe(0);
+        expect(Parallax.hasLastCamPos()).toBe(false);
+    });
+
+    it('continues from where it was after a pause, without a jump', () => {
+        const tree = host.createInstance({ x: 100, y: 100, width: 10, height: 10, mapName: 'm' });
+        const layer = new Layer({ plane: 1, horizontalSpeed: 0.5, verticalSpeed: 0.5, instances: [tree], absolute: true });
+        Parallax.update(0, 0, FRAME);
+
+        layer.pause();
+        Parallax.update(400, 0, FRAME);
+        expect(tree.x).toBe(100);
+        expect(layer.isPaused()).toBe(true);
+
+        layer.resume();
+        Parallax.update(500, 0, FRAME);
+        expect(tree.x).toBe(150);
+    });
+
+    it('hides and shows the members and their clones', () => {
+        const strip = host.createInstance({ width: 200, height: 50, mapName: 'm' });
+        const layer = new Layer({ plane: 1, horizontalSpeed: 0.5, verticalSpeed: 0, infiniteHorizontal: true, backgrounds: [strip] });
+
+        layer.hide();
+        expect(strip.visible).toBe(false);
+        expect(Parallax.defaultViewport.getClones(strip).every((pClone) => !pClone.visible)).toBe(true);
+
+        layer.show();
+        expect(strip.visible).toBe(true);
+        expect(layer.isVisible()).toBe(true);
+    });
+
+    it('changes nothing when the host cannot show or hide instances', () => {
+        (host as any).setVisible = undefined;
+        const tree = host.createInstance({ width: 10, height: 10, mapName: 'm' });
+        Parallax.add(tree, { horizontalSpeed: 0.5, verticalSpeed: 0.5 });
+
+        Parallax.hide(tree);
+
+        expect(tree.visible).toBe(true);
+        expect(Parallax.isVisible(tree)).toBe(true);
+    });
+});
+
+describe('lifecycle on the VYLO host', () => {
+    /**
+     * Creates a stand-in for a VYLO diob. Like the engine, `setAppearance` copies the alpha along with the icon.
+     */
+    function createDiob(pWidth = 0, pHeight = 0): any {
+        return {
+            x: 0,
+            y: 0,
+            mapName: 'm',
+            alpha: 1,
+            icon: { width: pWidth, height: pHeight },
+            scale: { x: 1, y: 1 },
+            setAppearance(pSource: any) {
+                this.icon = { ...pSource.icon };
+                this.scale = { ...pSource.scale };
+                this.alpha = pSource.alpha;
+            },
+            setPos(pX: number, pY: number, pMapName: string) {
+                this.x = pX;
+                this.y = pY;
+                this.mapName = pMapName;
+            }
+        };
+    }
+
+    beforeEach(() => {
+        (globalThis as any).VYLO = {
+            Client: { getViewEye: () => ({ x: 0, y: 0 }) },
+            newDiob: () => createDiob(),
+            delDiob: () => {}
+        };
+        Parallax.setHost(new VyloHostAdapter());
+    });
+
+    afterEach(() => {
+        Parallax.clear();
+        delete (globalThis as any).VYLO;
+    });
+
+    it('shows clones that were made while the instance was hidden', () => {
+        const strip = createDiob(200, 50);
+        strip.alpha = 0.5;
+        Parallax.add(strip, { horizontalSpeed: 0.5, verticalSpeed: 0 });
+
+        Parallax.hide(strip);
+        Parallax.setInfinite(strip, true, false);
+        const playerTwo = Parallax.createViewport('player-two', 0, 0);
+        const clones = [...Parallax.defaultViewport.getClones(strip), playerTwo.getTarget(strip), ...playerTwo.getClones(strip)];
+        expect(clones).toHaveLength(5);
+        expect(clones.every((pClone) => pClone.alpha === 0)).toBe(true);
+
+        Parallax.show(strip);
+
+        expect(strip.alpha).toBe(0.5);
+        expect(clones.every((pClone) => pClone.alpha === 0.5)).toBe(true);
+    });
+
+    it('shows tiles that were rebuilt while the instance was hidden', () => {
+        Parallax.setViewportSize(400, 300);
+        const clouds = createDiob(100, 100);
+        Parallax.add(clouds, { horizontalSpeed: 0.5, verticalSpeed: 0.5, infiniteHorizontal: true, tiling: true });
+        Parallax.update(0, 0, FRAME);
+
+        Parallax.hide(clouds);
+        Parallax.setViewportSize(800, 300);
+        Parallax.update(0, 0, FRAME);
+        Parallax.show(clouds);
+
+        const tiles = Parallax.defaultViewport.getClones(clouds);
+        expect(tiles.length).toBeGreaterThan(4);
+        expect(tiles.every((pTile) => pTile.alpha === 1)).toBe(true);
+    });
+});
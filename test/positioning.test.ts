@@ -0,0 +1,56 @@
+import { describe, it, expect, beforeEach } from 'bun:test';
+import { Parallax, HeadlessHostAdapter } from '../src/index.js';
+import { FRAME, resetParallax, run } from './helpers.js';
+
+let host: HeadlessHostAdapter;
+
+beforeEach(() => {
+    host = resetParallax();
+});
+
+describe('absolute positioning', () => {
+    it('places instances from their origin without building up error', () => {
+        Parallax.setAbsolute(true);
+        const hills = host.createInstance({ x: 100, y: 100, width: 50, height: 50, mapName: 'm' });
+        Parallax.add(hills, { horizontalSpeed: 0.3, verticalSpeed: 0.3 });
+
+        const camera = run(1000, 0.1, 0.1);
+
+        expect(hills.x).toBe(100 + camera.x * 0.3);
+        expect(hills.y).toBe(100 + camera.y * 0.3);
+    });
+
+    it('can be turned on per instance', () => {
+        const hills = host.createInstance({ x: 100, y: 100, width: 50, height: 50, mapName: 'm' });
+        Parallax.add(hills, { horizontalSpeed: 0.3, verticalSpeed: 0.3, absolute: true });
+
+        expect(Parallax.isAbsolute(hills)).toBe(true);
+        expect(Parallax.absolute).toBe(false);
+    });
+});
+
+describe('teleports', () => {
+    it('keeps layers in place on screen across a teleport', () => {
+        const hills = host.createInstance({ x: 100, y: 100, width: 50, height: 50, mapName: 'm' });
+        Parallax.add(hills, { horizontalSpeed: 0.5, verticalSpeed: 0.5 });
+        Parallax.update(0, 0, FRAME);
+        Parallax.update(100, 0, FRAME);
+
+        Parallax.teleport(1000, 0);
+        expect(hills.x - 1000).toBe(150 - 100);
+
+        Parallax.update(1100, 0, FRAME);
+        expect(hills.x).toBe(1100);
+    });
+
+    it('places layers from their origin on a snap', () => {
+        const hills = host.createInstance({ x: 100, y: 100, width: 50, height: 50, mapName: 'm' });
+        Parallax.add(hills, { horizontalSpeed: 0.5, verticalSpeed: 0.5 });
+        Parallax.update(0, 0, FRAME);
+        Parallax.update(100, 0, FRAME);
+
+        Parallax.snap(1100, 0);
+
+        expect(hills.x).toBe(100 + 1100 * 0.5);
+    });
+});
@@ -0,0 +1,134 @@
+import { describe, it, expect, beforeEach } from 'bun:test';
+import { Parallax, HeadlessHostAdapter, SCENE_VERSION, validateScene } from '../src/index.js';
+import { resetParallax } from './helpers.js';
+
+let host: HeadlessHostAdapter;
+
+beforeEach(() => {
+    host = resetParallax();
+});
+
+describe('validateScene', () => {
+    it('accepts a valid scene', () => {
+        const errors = validateScene({
+            version: SCENE_VERSION,
+            anchor: { x: 1, y: null },
+            layers: [{ plane: 1, instances: ['a'], backgrounds: ['b'], ground: 'c', groundY: 2 }],
+            instances: [{ id: 'd', depth: 2 }]
+        });
+
+        expect(errors).toEqual([]);
+    });
+
+    it('reports unknown keys at every level', () => {
+        const errors = validateScene({
+            version: SCENE_VERSION,
+            extra: 1,
+            layers: [{ plane: 1, horizontalSped: 0.3 }],
+            instances: [{ id: 'a', horizontalSpeed: 0, verticalSpeed: 0, bogus: true }]
+        });
+
+        expect(errors).toHaveLength(3);
+        expect(errors.some((pError) => pError.includes('extra'))).toBe(true);
+        expect(errors.some((pError) => pError.includes('horizontalSped'))).toBe(true);
+        expect(errors.some((pError) => pError.includes('bogus'))).toBe(true);
+    });
+
+    it('reports invalid smoothing', () => {
+        const errors = validateScene({
+            version: SCENE_VERSION,
+            layers: [
+                { plane: 1, smoothing: 5 },
+                { plane: 1, smoothing: { type: 'bouncy', lag: -1 } },
+                { plane: 1, smoothing: { lag: 5, foo: 1 } }
+            ],
+            instances: [{ id: 'd', depth: 2, smoothing: { type: 'spring', stiffness: 80, damping: 10 } }]
+        });
+
+        expect(errors).toHaveLength(4);
+        expect(errors.some((pError) => pError.includes('foo'))).toBe(true);
+    });
+
+    it('reports depths the perspective model rejects', () => {
+        const errors = validateScene({
+            version: SCENE_VERSION,
+            layers: [{ depth: -5, backgrounds: ['s'] }],
+            instances: [{ id: 'a', depth: -1 }, { id: 'b', depth: -0.5 }]
+        });
+
+        expect(errors).toHaveLength(2);
+        expect(errors[0]).toStartWith('layers[0].depth');
+        expect(errors[1]).toStartWith('instances[0].depth');
+    });
+    it('reports instances without speeds or a depth', () => {
+        const errors = validateScene({
+            version: SCENE_VERSION,
+            layers: [],
+            instances: [{ id: 'a' }, { id: 'b', horizontalSpeed: 0.5 }, { id: 'c', horizontalSpeed: 0.5, verticalSpeed: 0.5 }]
+        });
+
+        expect(errors).toEqual(['instances[0]: expected a horizontalSpeed and a verticalSpeed, or a depth.', 'instances[1]: expected a horizontalSpeed and a verticalSpeed, or a depth.']);
+    });
+});
+
+describe('loadScene', () => {
+    it('creates nothing when the scene has problems', () => {
+        const hills = host.createInstance({ width: 200, height: 50, mapName: 'm' });
+
+        const layers = Parallax.loadScene({ version: SCENE_VERSION, layers: [{ plane: 1, backgrounds: ['hills'], bogus: 1 }] } as any, () => hills);
+
+        expect(layers).toBeNull();
+        expect(Parallax.layers.size).toBe(0);
+        expect(Parallax.instances.size).toBe(0);
+    });
+
+    it('creates nothing when a depth is behind the camera', () => {
+        const sky = host.createInstance({ width: 200, height: 50, mapName: 'm' });
+
+        const layers = Parallax.loadScene({ version: SCENE_VERSION, layers: [{ depth: -5, backgrounds: ['sky'] }] }, () => sky);
+
+        expect(layers).toBeNull();
+        expect(Parallax.layers.size).toBe(0);
+        expect(Parallax.instances.size).toBe(0);
+    });
+
+    it('round-trips smoothing through exportScene', () => {
+        const hills = host.createInstance({ width: 200, height: 50, mapName: 'm' });
+        const scene = {
+            version: SCENE_VERSION,
+            layers: [{ name: 'hills', plane: 1, horizontalSpeed: 0.5, smoothing: { type: 'spring' as const, stiffness: 80 }, backgrounds: ['hills'] }]
+        };
+
+        Parallax.loadScene(scene, () => hills);
+
+        expect(Parallax.exportScene().layers![0].smoothing).toEqual({ type: 'spring', stiffness: 80 });
+    });
+
+    it('round-trips a scene through exportScene', () => {
+        const instances: Record<string, any> = {
+            hills: host.createInstance({ width: 200, height: 50, mapName: 'm' }),
+            floor: host.createInstance({ width: 400, height: 20, mapName: 'm' }),
+            sun: host.createInstance({ width: 20, height: 20, mapName: 'm' })
+        };
+        const scene = {
+            version: SCENE_VERSION,
+            anchor: { x: 480, y: 270 },
+            layers: [
+                { name: 'hills', depth: 3, infiniteHorizontal: true, backgrounds: ['hills'] },
+                { name: 'floor', plane: 2, horizontalSpeed: 1, verticalSpeed: 1, ground: 'floor', groundY: 600, groundMapname: 'm', infiniteHorizontal: true }
+            ],
+            instances: [{ id: 'sun', horizontalSpeed: 0, verticalSpeed: 0 }]
+        };
+
+        const layers = Parallax.loadScene(scene, (pId) => instances[pId]);
+        const exported = Parallax.exportScene();
+
+        expect(layers).toHaveLength(2);
+        expect(validateScene(exported)).toEqual([]);
+        expect(exported.anchor).toEqual({ x: 480, y: 270 });
+        expect(exported.layers![0].backgrounds).toEqual(['hills']);
+        expect(exported.layers![1].ground).toBe('floor');
+        expect(exported.layers![1].instances ?? []).not.toContain('floor');
+        expect(exported.instances!.map((pInstance) => pInstance.id)).toEqual(['sun']);
+    });
+});
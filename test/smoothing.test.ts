@@ -0,0 +1,93 @@
+import { describe, it, expect, beforeEach } from 'bun:test';
+import { Parallax, HeadlessHostAdapter, Layer } from '../src/index.js';
+import { FRAME, resetParallax, run } from './helpers.js';
+
+let host: HeadlessHostAdapter;
+
+beforeEach(() => {
+    host = resetParallax();
+});
+
+describe('smoothing', () => {
+    it('trails behind the position the camera gives it', () => {
+        const hills = host.createInstance({ width: 50, height: 50, mapName: 'm' });
+        Parallax.add(hills, { horizontalSpeed: 0.5, verticalSpeed: 0.5, smoothing: { lag: 150 } });
+        Parallax.update(0, 0, FRAME);
+
+        Parallax.update(1000, 0, FRAME);
+        expect(hills.x).toBeGreaterThan(0);
+        expect(hills.x).toBeLessThan(500);
+
+        run(120, 0, 0, { x: 1000, y: 0 });
+        expect(hills.x).toBeCloseTo(500);
+    });
+
+    it('places the instance on its goal when there is no frame delta', () => {
+        const damped = host.createInstance({ width: 50, height: 50, mapName: 'm' });
+        const spring = host.createInstance({ width: 50, height: 50, mapName: 'm' });
+        Parallax.add(damped, { horizontalSpeed: 0.5, verticalSpeed: 0.5, smoothing: { lag: 150 } });
+        Parallax.add(spring, { horizontalSpeed: 0.5, verticalSpeed: 0.5, smoothing: { type: 'spring' } });
+
+        Parallax.update(0, 0);
+        Parallax.update(1000, 0);
+
+        expect(damped.x).toBe(500);
+        expect(spring.x).toBe(500);
+    });
+
+    it('drops the lag on a snap', () => {
+        const hills = host.createInstance({ width: 50, height: 50, mapName: 'm' });
+        Parallax.add(hills, { horizontalSpeed: 0.5, verticalSpeed: 0.5, smoothing: { lag: 150 } });
+        Parallax.update(0, 0, FRAME);
+        Parallax.update(1000, 0, FRAME);
+
+        Parallax.snap(1000, 0);
+
+        expect(hills.x).toBe(500);
+    });
+});
+
+describe('speed tweens', () => {
+    it('eases the speed to its target', () => {
+        const hills = host.createInstance({ width: 50, height: 50, mapName: 'm' });
+        const layer = new Layer({ plane: 1, horizontalSpeed: 0.5, verticalSpeed: 0.5, instances: [hills] });
+
+        layer.tweenSpeed({ horizontalSpeed: 0.1 }, 1000, 'easeInOutQuad');
+        run(30);
+        const halfway = Parallax.instanceWeakMap.get(hills)!.horizontalSpeed;
+        run(40);
+
+        expect(halfway).toBeCloseTo(0.3);
+        expect(Parallax.instanceWeakMap.get(hills)!.horizontalSpeed).toBeCloseTo(0.1);
+        expect(layer.config.horizontalSpeed).toBeCloseTo(0.1);
+    });
+
+    it('does not advance while paused', () => {
+        const hills = host.createInstance({ width: 50, height: 50, mapName: 'm' });
+        const layer = new Layer({ plane: 1, horizontalSpeed: 0.5, verticalSpeed: 0.5, instances: [hills] });
+
+        layer.tweenSpeed({ horizontalSpeed: 0.1 }, 1000);
+        Parallax.pause();
+        run(120);
+
+        expect(Parallax.instanceWeakMap.get(hills)!.horizontalSpeed).toBe(0.5);
+    });
+
+    it('stops a moving layer where it is when slowed to 0', () => {
+        const hills = host.createInstance({ width: 200, height: 50, mapName: 'm' });
+        const layer = new Layer({ plane: 1, horizontalSpeed: 0.5, verticalSpeed: 0.5, instances: [hills] });
+        let camera = run(100, 10);
+
+        layer.tweenSpeed({ horizontalSpeed: 0 }, 160, 'easeOutQuad');
+        let last = hills.x;
+        for (let i = 0; i < 20; i++) {
+            camera = run(1, 10, 0, camera);
+            expect(Math.abs(hills.x - last)).toBeLessThanOrEqual(5);
+            last = hills.x;
+        }
+
+        expect(Parallax.isBackground(hills).x).toBe(false);
+        run(10, 10, 0, camera);
+        expect(hills.x).toBe(last);
+    });
+});
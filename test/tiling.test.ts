@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeEach } from 'bun:test';
+import { Parallax, HeadlessHostAdapter } from '../src/index.js';
+import { FRAME, resetParallax } from './helpers.js';
+
+/**
+ * Whether the instance or one of its clones in the default viewport covers the point.
+ */
+function covers(pInstance: any, pX: number, pY: number): boolean {
+    const { width, height } = pInstance.icon;
+    return [pInstance, ...Parallax.defaultViewport.getClones(pInstance)].some((pTarget) => pTarget.x <= pX && pX < pTarget.x + width && pTarget.y <= pY && pY < pTarget.y + height);
+}
+
+let host: HeadlessHostAdapter;
+
+beforeEach(() => {
+    host = resetParallax();
+});
+
+describe('infinite looping', () => {
+    it('creates two clones per infinite axis', () => {
+        const strip = host.createInstance({ width: 200, height: 50, mapName: 'm' });
+        Parallax.add(strip, { horizontalSpeed: 0.5, verticalSpeed: 0.5, infiniteHorizontal: true, infiniteVertical: true });
+
+        expect(Parallax.defaultViewport.getClones(strip)).toHaveLength(4);
+        expect(host.clones.size).toBe(4);
+    });
+
+    it('keeps the camera covered while it moves', () => {
+        const strip = host.createInstance({ width: 200, height: 50, mapName: 'm' });
+        Parallax.add(strip, { horizontalSpeed: 0.5, verticalSpeed: 0, infiniteHorizontal: true });
+        Parallax.update(0, 0, FRAME);
+
+        let camera = 0;
+        for (let i = 0; i < 200; i++) {
+            camera += 7;
+            Parallax.update(camera, 0, FRAME);
+            expect(covers(strip, camera, strip.y)).toBe(true);
+        }
+    });
+});
+
+describe('tiling', () => {
+    it('covers the screen with a grid', () => {
+        Parallax.setViewportSize(800, 600);
+        const clouds = host.createInstance({ width: 100, height: 100, mapName: 'm' });
+        Parallax.add(clouds, { horizontalSpeed: 0.5, verticalSpeed: 0.5, infiniteHorizontal: true, infiniteVertical: true, tiling: true });
+        Parallax.update(0, 0, FRAME);
+
+        for (const x of [-390, 0, 390]) {
+            for (const y of [-290, 0, 290]) {
+                expect(covers(clouds, x, y)).toBe(true);
+            }
+        }
+    });
+
+    it('keeps the screen covered while the camera moves diagonally', () => {
+        Parallax.setViewportSize(400, 300);
+        const clouds = host.createInstance({ width: 100, height: 100, mapName: 'm' });
+        Parallax.add(clouds, { horizontalSpeed: 0.5, verticalSpeed: 0.5, infiniteHorizontal: true, infiniteVertical: true, tiling: true });
+        Parallax.update(0, 0, FRAME);
+
+        let camera = 0;
+        for (let i = 0; i < 100; i++) {
+            camera += 13;
+            Parallax.update(camera, camera, FRAME);
+            expect(covers(clouds, camera - 190, camera - 140)).toBe(true);
+            expect(covers(clouds, camera + 190, camera + 140)).toBe(true);
+        }
+    });
+
+    it('rebuilds the grid when the viewport size changes', () => {
+        Parallax.setViewportSize(400, 300);
+        const clouds = host.createInstance({ width: 100, height: 100, mapName: 'm' });
+        Parallax.add(clouds, { horizontalSpeed: 0.5, verticalSpeed: 0, infiniteHorizontal: true, tiling: true });
+        Parallax.update(0, 0, FRAME);
+        const tiles = Parallax.defaultViewport.getClones(clouds).length;
+
+        Parallax.setViewportSize(800, 300);
+        Parallax.update(0, 0, FRAME);
+
+        expect(Parallax.defaultViewport.getClones(clouds).length).toBeGreaterThan(tiles);
+    });
+});
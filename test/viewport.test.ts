@@ -0,0 +1,59 @@
+import { describe, it, expect, beforeEach } from 'bun:test';
+import { Parallax, HeadlessHostAdapter } from '../src/index.js';
+import { FRAME, resetParallax } from './helpers.js';
+
+let host: HeadlessHostAdapter;
+
+beforeEach(() => {
+    host = resetParallax();
+});
+
+describe('viewports', () => {
+    it('moves clones in extra viewports and leaves the instance to the default one', () => {
+        const hills = host.createInstance({ x: 100, y: 100, width: 50, height: 50, mapName: 'm' });
+        Parallax.add(hills, { horizontalSpeed: 0.5, verticalSpeed: 0.5 });
+        const playerTwo = Parallax.createViewport('player-two', 0, 0);
+        const clone = playerTwo.getTarget(hills);
+
+        playerTwo.update(200, 0, FRAME);
+
+        expect(clone).not.toBe(hills);
+        expect(clone.parallaxViewport).toBe('player-two');
+        expect(clone.x).toBe(200);
+        expect(hills.x).toBe(100);
+    });
+
+    it('tracks the camera of each viewport on its own', () => {
+        const playerTwo = Parallax.createViewport('player-two', 0, 0);
+
+        Parallax.update(100, 50, FRAME);
+        playerTwo.update(-30, 10, FRAME);
+
+        expect(Parallax.defaultViewport.lastCamPos).toEqual({ x: 100, y: 50 });
+        expect(playerTwo.lastCamPos).toEqual({ x: -30, y: 10 });
+    });
+
+    it('destroys the clones of a removed viewport', () => {
+        const hills = host.createInstance({ x: 100, y: 100, width: 50, height: 50, mapName: 'm' });
+        Parallax.add(hills, { horizontalSpeed: 0.5, verticalSpeed: 0.5, infiniteHorizontal: true });
+        Parallax.createViewport('player-two', 0, 0);
+        expect(host.clones.size).toBe(2 + 3);
+
+        Parallax.removeViewport('player-two');
+
+        expect(host.clones.size).toBe(2);
+        expect(Parallax.getViewport('player-two')).toBeUndefined();
+    });
+
+    it('exposes the default viewport state through writable properties', () => {
+        Parallax.lastCamPos = { x: 5, y: 6 };
+        Parallax.cameraAnchor = { x: 1, y: 2 };
+        Parallax.anchorXSet = true;
+        Parallax.anchorYSet = true;
+
+        expect(Parallax.defaultViewport.lastCamPos).toEqual({ x: 5, y: 6 });
+        expect(Parallax.getCameraAnchor()).toEqual({ x: 1, y: 2 });
+        expect(Parallax.isAnchorXSet()).toBe(true);
+        expect(Parallax.isAnchorYSet()).toBe(true);
+    });
+});